@@ -0,0 +1,340 @@
+/**
+ * Cost anomaly detection per resource, run after each collection.
+ * Each resource's daily cost, usage (resource_used) and size on the collected date is compared with
+ * its trailing baseline (median of the previous ANOMALY_BASELINE_DAYS days, default 7). Findings go to
+ * BQ_ANOMALIES_TABLE (default `<BQ_TABLE>_anomalies`), replacing earlier findings for the same
+ * date and accounts. Optional Script Properties:
+ *  - ANOMALY_WARN_RATIO (default 1.5) / ANOMALY_CRITICAL_RATIO (default 2): actual/expected ratio (or its
+ *    inverse for drops) that makes a finding "warning" / "critical"
+ *  - ANOMALY_MIN_DELTA (default 1): ignore differences smaller than this (in the metric's unit)
+ *  - ANOMALY_DETECTION_ENABLED=false turns detection off
+ */
+var BQ_ANOMALY_FIELDS = [
+  { name: "billing_date", type: "DATE" },
+  { name: "run_id", type: "STRING" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "resource_id", type: "STRING" },
+  { name: "resource_name", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "inventory_type", type: "STRING" },
+  { name: "kind", type: "STRING" },
+  { name: "metric", type: "STRING" },
+  { name: "expected", type: "FLOAT" },
+  { name: "actual", type: "FLOAT" },
+  { name: "ratio", type: "FLOAT" },
+  { name: "severity", type: "STRING" },
+  { name: "baseline_days", type: "INTEGER" },
+  { name: "detected_at", type: "TIMESTAMP" },
+];
+
+var ANOMALY_METRICS = ["cost", "resource_used", "size"];
+
+function getAnomalyConfig() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    enabled:
+      String(props.getProperty("ANOMALY_DETECTION_ENABLED") || "true") !==
+      "false",
+    baselineDays: parseInt(
+      props.getProperty("ANOMALY_BASELINE_DAYS") || "7",
+      10
+    ),
+    warnRatio: Number(props.getProperty("ANOMALY_WARN_RATIO") || "1.5"),
+    criticalRatio: Number(props.getProperty("ANOMALY_CRITICAL_RATIO") || "2"),
+    minDelta: Number(props.getProperty("ANOMALY_MIN_DELTA") || "1"),
+  };
+}
+
+/**
+ * Compare one day's per-resource totals with the baseline days.
+ * `dayRows` / `baselineRows`: objects { billing_date, site, account_id, resource_id, resource_name,
+ * spending_type, inventory_type, cost, resource_used, size } (one per resource and day).
+ * Pure function; returns findings { site, account_id, resource_id, resource_name, spending_type,
+ * inventory_type, kind ("spike" | "drop" | "new" | "disappeared"), metric, expected, actual, ratio,
+ * severity ("info" | "warning" | "critical"), baseline_days }.
+ */
+function detectResourceAnomalies(billingDate, dayRows, baselineRows, config) {
+  var key = function (r) {
+    return [r.site, r.account_id, r.resource_id, r.inventory_type || ""].join(
+      "|"
+    );
+  };
+  var history = {};
+  var accountsWithHistory = {};
+  var previousDate = addDaysToIsoDate(billingDate, -1);
+  baselineRows.forEach(function (r) {
+    var k = key(r);
+    (history[k] = history[k] || []).push(r);
+    accountsWithHistory[r.site + "|" + r.account_id] = true;
+  });
+  var today = {};
+  dayRows.forEach(function (r) {
+    today[key(r)] = r;
+  });
+
+  // typical size/cost of existing resources per inventory type, to judge new resources
+  var typical = {};
+  Object.keys(history).forEach(function (k) {
+    var rows = history[k];
+    var last = rows[rows.length - 1];
+    var type = last.inventory_type || "";
+    var t = typical[type] || (typical[type] = { cost: [], size: [] });
+    if (last.cost !== null && last.cost !== undefined)
+      t.cost.push(Number(last.cost));
+    if (last.size !== null && last.size !== undefined)
+      t.size.push(Number(last.size));
+  });
+
+  var findings = [];
+  var finding = function (r, kind, metric, expected, actual, severity, days) {
+    findings.push({
+      site: r.site,
+      account_id: r.account_id,
+      resource_id: r.resource_id,
+      resource_name: r.resource_name || null,
+      spending_type: r.spending_type || null,
+      inventory_type: r.inventory_type || null,
+      kind: kind,
+      metric: metric,
+      expected: expected,
+      actual: actual,
+      ratio: expected ? actual / expected : null,
+      severity: severity,
+      baseline_days: days,
+    });
+  };
+  var ratioSeverity = function (ratio) {
+    if (ratio >= config.criticalRatio) return "critical";
+    if (ratio >= config.warnRatio) return "warning";
+    return null;
+  };
+
+  Object.keys(today).forEach(function (k) {
+    var r = today[k];
+    var past = history[k];
+    if (!past || !past.length) {
+      // only "new" when the account already has history; a first collection is not an anomaly
+      if (!accountsWithHistory[r.site + "|" + r.account_id]) return;
+      var t = typical[r.inventory_type || ""];
+      var severity = "info";
+      var metric = "cost";
+      var expected = null;
+      var actual = Number(r.cost || 0);
+      if (t && r.size !== null && r.size !== undefined && t.size.length) {
+        metric = "size";
+        expected = medianOf(t.size);
+        actual = Number(r.size);
+      } else if (t && t.cost.length) {
+        expected = medianOf(t.cost);
+      }
+      if (expected) severity = ratioSeverity(actual / expected) || "info";
+      finding(r, "new", metric, expected, actual, severity, 0);
+      return;
+    }
+    ANOMALY_METRICS.forEach(function (metric) {
+      if (r[metric] === null || r[metric] === undefined) return;
+      var values = past
+        .map(function (p) {
+          return p[metric];
+        })
+        .filter(function (v) {
+          return v !== null && v !== undefined;
+        })
+        .map(Number);
+      if (!values.length) return;
+      var expected = medianOf(values);
+      var actual = Number(r[metric]);
+      if (Math.abs(actual - expected) < config.minDelta) return;
+      var up = expected > 0 ? actual / expected : Infinity;
+      var down = actual > 0 ? expected / actual : Infinity;
+      var kind = actual > expected ? "spike" : "drop";
+      var severity = ratioSeverity(kind === "spike" ? up : down);
+      if (severity)
+        finding(r, kind, metric, expected, actual, severity, values.length);
+    });
+  });
+
+  Object.keys(history).forEach(function (k) {
+    if (today[k]) return;
+    var rows = history[k];
+    var last = rows[rows.length - 1];
+    // only resources billed on the previous day count as disappeared
+    if (last.billing_date !== previousDate) return;
+    finding(
+      last,
+      "disappeared",
+      "cost",
+      Number(last.cost || 0),
+      0,
+      "info",
+      rows.length
+    );
+  });
+  return findings;
+}
+
+function medianOf(values) {
+  var sorted = values.slice().sort(function (a, b) {
+    return a - b;
+  });
+  var mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Detect anomalies for the accounts written by a run and store the findings.
+ * `scopes`: [{ site, accountUuid }]. Returns the findings.
+ */
+function detectAnomaliesForDate(billingDate, scopes, runId) {
+  var config = getAnomalyConfig();
+  if (!scopes.length) return [];
+  var props = PropertiesService.getScriptProperties();
+  var projectId = props.getProperty("BQ_PROJECT") || "";
+  var datasetId = props.getProperty("BQ_DATASET") || "";
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  var anomaliesTable =
+    props.getProperty("BQ_ANOMALIES_TABLE") || tableId + "_anomalies";
+  var table = "`" + projectId + "." + datasetId + "." + tableId + "`";
+
+  var inScope = {};
+  scopes.forEach(function (s) {
+    inScope[s.site + "|" + s.accountUuid] = true;
+  });
+  var rows = queryBQRows(
+    projectId,
+    "SELECT CAST(billing_date AS STRING) AS billing_date, IFNULL(site, " +
+      bqQuote(DEFAULT_ZSTACK_SITE) +
+      ") AS site, account_id, resource_id, ANY_VALUE(resource_name) AS resource_name," +
+      " ANY_VALUE(spending_type) AS spending_type, IFNULL(inventory_type, '') AS inventory_type," +
+      // a resource-day with unconverted rows has no comparable cost; its cost is left out (NULL)
+      " IF(COUNTIF(" +
+      BQ_UNCONVERTED_COST_CONDITION +
+      ") > 0, NULL, SUM(" +
+      BQ_BILLING_COST_EXPR +
+      ")) AS cost, COUNTIF(" +
+      BQ_UNCONVERTED_COST_CONDITION +
+      ") AS unconverted_rows, SUM(resource_used) AS resource_used, MAX(size) AS size FROM " +
+      table +
+      " WHERE billing_date BETWEEN DATE " +
+      bqQuote(addDaysToIsoDate(billingDate, -config.baselineDays)) +
+      " AND DATE " +
+      bqQuote(billingDate) +
+      " AND resource_id IS NOT NULL AND account_id IN (" +
+      scopes
+        .map(function (s) {
+          return bqQuote(s.accountUuid);
+        })
+        .join(", ") +
+      ") GROUP BY billing_date, site, account_id, resource_id, inventory_type" +
+      " ORDER BY billing_date"
+  ).filter(function (r) {
+    return inScope[r.site + "|" + r.account_id];
+  });
+  var unconverted = rows.reduce(function (n, r) {
+    return n + Number(r.unconverted_rows || 0);
+  }, 0);
+  if (unconverted)
+    Logger.log(
+      "Warning: anomaly detection for %s compares no cost for %s row(s) without a billing-currency cost; add the FX rate and re-collect",
+      billingDate,
+      unconverted
+    );
+  var findings = detectResourceAnomalies(
+    billingDate,
+    rows.filter(function (r) {
+      return r.billing_date === billingDate;
+    }),
+    rows.filter(function (r) {
+      return r.billing_date < billingDate;
+    }),
+    config
+  );
+
+  ensureBQTableWithSchema(projectId, datasetId, anomaliesTable, {
+    friendlyName: "ZStack billing anomalies",
+    description:
+      "Per-resource cost and usage anomalies against a trailing baseline",
+    fields: BQ_ANOMALY_FIELDS,
+    partitionField: "billing_date",
+  });
+  var detectedAt = new Date().toISOString();
+  replaceBQRows(
+    projectId,
+    datasetId,
+    anomaliesTable,
+    "billing_date = DATE " + bqQuote(billingDate) + bqScopesCondition(scopes),
+    findings.map(function (f) {
+      return {
+        json: Object.assign(
+          {
+            billing_date: billingDate,
+            run_id: runId || null,
+            detected_at: detectedAt,
+          },
+          f
+        ),
+      };
+    }),
+    "replaceAnomalies"
+  );
+  return findings;
+}
+
+/**
+ * Run anomaly detection after a collection run; notifies warning/critical findings, failures only log.
+ */
+function detectAnomaliesAfterRun(run, out) {
+  if (run.dryRun || !out || !getAnomalyConfig().enabled) return;
+  try {
+    var scopes = (out.accounts || [])
+      .filter(function (a) {
+        return a.ok && a.accountUuid;
+      })
+      .map(function (a) {
+        return { site: a.site, accountUuid: a.accountUuid };
+      });
+    var findings = detectAnomaliesForDate(run.billingDate, scopes, run.runId);
+    var serious = findings.filter(function (f) {
+      return f.severity !== "info";
+    });
+    if (!serious.length) return;
+    var critical = serious.some(function (f) {
+      return f.severity === "critical";
+    });
+    notify({
+      severity: critical ? "critical" : "warning",
+      title: serious.length + " billing anomalies on " + run.billingDate,
+      message: serious
+        .slice(0, 20)
+        .map(function (f) {
+          return (
+            "[" +
+            f.severity +
+            "] " +
+            f.site +
+            "/" +
+            f.account_id +
+            " " +
+            (f.resource_name || f.resource_id) +
+            " " +
+            f.kind +
+            " " +
+            f.metric +
+            ": expected " +
+            (f.expected === null ? "-" : f.expected.toFixed(2)) +
+            ", got " +
+            f.actual.toFixed(2)
+          );
+        })
+        .join("\n"),
+      key: "anomalies|" + run.billingDate,
+    });
+  } catch (e) {
+    Logger.log(
+      "Warning: anomaly detection failed for %s: %s",
+      run.billingDate,
+      e.toString()
+    );
+  }
+}
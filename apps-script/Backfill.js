@@ -0,0 +1,332 @@
+/**
+ * Resumable range backfill.
+ * `collectBillingForRange` stores its progress (cursor + per-day status) in the BACKFILL_STATE
+ * Script Property and continues itself through a time-based trigger until the range is done,
+ * so long backfills survive the Apps Script execution time limit.
+ * Script Property values are limited to about 9 KB, so the state keeps one status character per day
+ * and the error / dry-run diff of the last BACKFILL_MAX_NOTES days only; every day's full result is in
+ * the run history (trigger_source "backfill", see RunHistory.js).
+ * Optional Script Properties:
+ *  - BACKFILL_TIME_BUDGET_SEC (default 300): stop starting new days after this many seconds
+ *  - BACKFILL_RESUME_DELAY_SEC (default 60): delay before the continuation trigger fires
+ */
+var BACKFILL_STATE_PROPERTY = "BACKFILL_STATE";
+var BACKFILL_HANDLER = "continueBillingBackfill";
+var BACKFILL_MAX_NOTES = 30;
+var BACKFILL_MAX_STATE_CHARS = 8000;
+// per-day status in state.statuses (one character per day from startDate; "." = pending)
+var BACKFILL_STATUS_CODES = { ok: "o", warning: "w", partial: "p", error: "e" };
+
+/**
+ * Start a backfill for every day from startDate to endDate (inclusive, YYYY-MM-DD).
+ * Runs the first slice immediately and returns the backfill status.
+ * `options` are passed to `collectBillingForDate`; with { dryRun: true } each day keeps a diff
+ * summary (rows added/removed/changed and net cost delta) instead of writing.
+ */
+function collectBillingForRange(startDate, endDate, options) {
+  if (!isIsoDate(startDate) || !isIsoDate(endDate))
+    throw new Error("startDate and endDate must be provided as YYYY-MM-DD");
+  if (startDate > endDate)
+    throw new Error("startDate must not be after endDate");
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000))
+    throw new Error("Another backfill execution is holding the lock");
+  try {
+    var current = loadBackfillState();
+    if (current && current.status === "running") {
+      throw new Error(
+        "Backfill " +
+          current.id +
+          " (" +
+          current.startDate +
+          ".." +
+          current.endDate +
+          ") is still running at " +
+          current.cursor +
+          ". Cancel it first with cancelBillingBackfill()"
+      );
+    }
+    var now = new Date().toISOString();
+    saveBackfillState({
+      id: Utilities.getUuid(),
+      startDate: startDate,
+      endDate: endDate,
+      cursor: startDate,
+      options: options || {},
+      status: "running",
+      statuses: "",
+      notes: {},
+      executions: 0,
+      createdAt: now,
+      updatedAt: now,
+    });
+  } finally {
+    lock.releaseLock();
+  }
+  Logger.log("Backfill started for %s..%s", startDate, endDate);
+  return runBillingBackfillSlice();
+}
+
+/**
+ * Trigger handler: continue the running backfill where the last execution stopped.
+ */
+function continueBillingBackfill() {
+  return runBillingBackfillSlice();
+}
+
+/**
+ * Process days from the saved cursor until the time budget is used, then schedule the next slice.
+ */
+function runBillingBackfillSlice() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    Logger.log("Backfill slice skipped: another execution holds the lock");
+    return getBillingBackfillStatus();
+  }
+  try {
+    var state = loadBackfillState();
+    if (!state || state.status !== "running") {
+      deleteBackfillTriggers();
+      return getBillingBackfillStatus();
+    }
+
+    var props = PropertiesService.getScriptProperties();
+    var budgetMs =
+      parseInt(props.getProperty("BACKFILL_TIME_BUDGET_SEC") || "300", 10) *
+      1000;
+    var resumeDelayMs =
+      parseInt(props.getProperty("BACKFILL_RESUME_DELAY_SEC") || "60", 10) *
+      1000;
+
+    // Safety net: if this execution is killed mid-day, this trigger resumes from the saved cursor
+    deleteBackfillTriggers();
+    scheduleBackfillContinuation(budgetMs + resumeDelayMs + 5 * 60 * 1000);
+
+    state.executions = (state.executions || 0) + 1;
+    var sliceStart = Date.now();
+    var longestDayMs = 60 * 1000;
+    while (state.cursor <= state.endDate) {
+      var elapsed = Date.now() - sliceStart;
+      if (elapsed > 0 && elapsed + longestDayMs > budgetMs) break;
+
+      var day = state.cursor;
+      var dayStart = Date.now();
+      Logger.log("Backfill %s: collecting %s", state.id, day);
+      var status;
+      var note = {};
+      try {
+        var res = collectBillingForDate(
+          day,
+          Object.assign({ trigger: "backfill" }, state.options)
+        );
+        status = res && res.status ? res.status : "ok";
+        if (res && res.status === "partial")
+          note.e = summarizeFailedAccounts(res);
+        if (res && res.diff) note.d = summarizeDiff(res.diff);
+      } catch (e) {
+        Logger.log(
+          "Backfill %s failed for %s: %s",
+          state.id,
+          day,
+          e.toString()
+        );
+        status = "error";
+        note.e = e.toString().slice(0, 200);
+      }
+      setBackfillDay(state, day, status, note);
+      longestDayMs = Math.max(longestDayMs, Date.now() - dayStart);
+      state.cursor = addDaysToIsoDate(day, 1);
+      state.updatedAt = new Date().toISOString();
+
+      // honour a cancel issued while this day was running
+      var latest = loadBackfillState();
+      if (!latest || latest.id !== state.id || latest.status !== "running") {
+        Logger.log("Backfill %s was cancelled, stopping", state.id);
+        deleteBackfillTriggers();
+        return getBillingBackfillStatus();
+      }
+      saveBackfillState(state);
+    }
+
+    deleteBackfillTriggers();
+    if (state.cursor > state.endDate) {
+      state.status = "done";
+      state.finishedAt = new Date().toISOString();
+      Logger.log("Backfill %s finished", state.id);
+    } else {
+      scheduleBackfillContinuation(resumeDelayMs);
+      Logger.log(
+        "Backfill %s paused at %s, continuing in %s sec",
+        state.id,
+        state.cursor,
+        resumeDelayMs / 1000
+      );
+    }
+    saveBackfillState(state);
+    return getBillingBackfillStatus();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Status of the current (or last) backfill: range, cursor, per-status day counts and failed days.
+ */
+function getBillingBackfillStatus() {
+  var state = loadBackfillState();
+  if (!state) return { status: "none" };
+  var counts = { ok: 0, warning: 0, partial: 0, error: 0, pending: 0 };
+  var failedDays = [];
+  var dryRunDays = [];
+  var names = {};
+  Object.keys(BACKFILL_STATUS_CODES).forEach(function (name) {
+    names[BACKFILL_STATUS_CODES[name]] = name;
+  });
+  for (
+    var d = state.startDate, i = 0;
+    d <= state.endDate;
+    d = addDaysToIsoDate(d, 1), i++
+  ) {
+    var s = names[state.statuses.charAt(i)];
+    if (!s) {
+      counts.pending++;
+      continue;
+    }
+    counts[s]++;
+    var note = state.notes[d] || {};
+    if (note.d) dryRunDays.push({ date: d, diff: note.d });
+    // errors of older days were dropped from the state; the run history has them
+    if (s !== "ok" && s !== "warning")
+      failedDays.push({ date: d, status: s, error: note.e || null });
+  }
+  return {
+    id: state.id,
+    status: state.status,
+    startDate: state.startDate,
+    endDate: state.endDate,
+    cursor: state.cursor,
+    dryRun: !!(state.options && state.options.dryRun),
+    executions: state.executions,
+    counts: counts,
+    failedDays: failedDays,
+    dryRunDays: dryRunDays,
+    createdAt: state.createdAt,
+    updatedAt: state.updatedAt,
+    finishedAt: state.finishedAt || null,
+  };
+}
+
+/**
+ * Cancel the running backfill. The day currently being collected (if any) still completes.
+ */
+function cancelBillingBackfill() {
+  var state = loadBackfillState();
+  deleteBackfillTriggers();
+  if (!state || state.status !== "running") return getBillingBackfillStatus();
+  state.status = "cancelled";
+  state.updatedAt = new Date().toISOString();
+  saveBackfillState(state);
+  Logger.log("Backfill %s cancelled at %s", state.id, state.cursor);
+  return getBillingBackfillStatus();
+}
+
+/**
+ * Record a collected day: its status character, and its note ({ e, d }) while among the last
+ * BACKFILL_MAX_NOTES noted days.
+ */
+function setBackfillDay(state, day, status, note) {
+  var index = Math.round(
+    (Date.parse(day) - Date.parse(state.startDate)) / 86400000
+  );
+  var statuses = state.statuses;
+  while (statuses.length < index) statuses += ".";
+  state.statuses =
+    statuses.slice(0, index) +
+    (BACKFILL_STATUS_CODES[status] || "e") +
+    statuses.slice(index + 1);
+  if (note.e || note.d) state.notes[day] = note;
+  var noted = Object.keys(state.notes).sort();
+  noted
+    .slice(0, Math.max(0, noted.length - BACKFILL_MAX_NOTES))
+    .forEach(function (d) {
+      delete state.notes[d];
+    });
+}
+
+function loadBackfillState() {
+  var raw = PropertiesService.getScriptProperties().getProperty(
+    BACKFILL_STATE_PROPERTY
+  );
+  if (!raw) return null;
+  return JSON.parse(raw);
+}
+
+/**
+ * Save the state, dropping the oldest notes while it does not fit in a Script Property.
+ */
+function saveBackfillState(state) {
+  var json = JSON.stringify(state);
+  var noted = Object.keys(state.notes || {}).sort();
+  while (json.length > BACKFILL_MAX_STATE_CHARS && noted.length) {
+    delete state.notes[noted.shift()];
+    json = JSON.stringify(state);
+  }
+  PropertiesService.getScriptProperties().setProperty(
+    BACKFILL_STATE_PROPERTY,
+    json
+  );
+}
+
+function scheduleBackfillContinuation(delayMs) {
+  return ScriptApp.newTrigger(BACKFILL_HANDLER)
+    .timeBased()
+    .after(delayMs)
+    .create();
+}
+
+function deleteBackfillTriggers() {
+  ScriptApp.getProjectTriggers().forEach(function (t) {
+    if (t.getHandlerFunction() === BACKFILL_HANDLER) ScriptApp.deleteTrigger(t);
+  });
+}
+
+function summarizeFailedAccounts(res) {
+  return (res.accounts || [])
+    .filter(function (a) {
+      return !a.ok;
+    })
+    .map(function (a) {
+      return a.site + "/" + (a.accountUuid || "*");
+    })
+    .join(", ")
+    .slice(0, 200);
+}
+
+/**
+ * Compact dry-run diff for the backfill state: counts and net cost delta.
+ */
+function summarizeDiff(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length,
+    delta: diff.netDelta.reduce(function (sum, t) {
+      return sum + t.delta;
+    }, 0),
+  };
+}
+
+function isIsoDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Add days to a YYYY-MM-DD calendar date (no time zone involved).
+ */
+function addDaysToIsoDate(dateStr, days) {
+  var p = dateStr.split("-");
+  var d = new Date(Date.UTC(Number(p[0]), Number(p[1]) - 1, Number(p[2])));
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
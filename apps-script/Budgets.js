@@ -0,0 +1,273 @@
+/**
+ * Monthly budgets per account with threshold alerts.
+ * Budgets are defined in the BUDGETS Script Property, a JSON array of
+ *   { name, accountUuid, amount, site, spendingType }
+ * (`amount` is the monthly budget in the billing currency, compared with cost_billing, or cost for
+ * rows already in it; rows left unconverted for lack of an FX rate are not counted and logged as a
+ * warning; `site` and `spendingType` are optional filters). After each collection
+ * the month-to-date cost of every budget is computed from the billing table and recorded in
+ * BQ_BUDGET_STATUS_TABLE (default `<BQ_TABLE>_budget_status`); thresholds (BUDGET_THRESHOLDS, default
+ * "50,80,100" percent) crossed for the first time in the month are recorded in BQ_BUDGET_ALERTS_TABLE
+ * (default `<BQ_TABLE>_budget_alerts`) and notified. The alerts table is what makes a threshold fire
+ * only once per month per budget.
+ */
+var BQ_BUDGET_STATUS_FIELDS = [
+  { name: "budget_month", type: "DATE" },
+  { name: "budget_name", type: "STRING" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "budget_amount", type: "FLOAT" },
+  { name: "mtd_cost", type: "FLOAT" },
+  { name: "pct_used", type: "FLOAT" },
+  { name: "through_date", type: "DATE" },
+  { name: "run_id", type: "STRING" },
+  { name: "evaluated_at", type: "TIMESTAMP" },
+];
+
+var BQ_BUDGET_ALERT_FIELDS = [
+  { name: "budget_month", type: "DATE" },
+  { name: "budget_name", type: "STRING" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "threshold_pct", type: "INTEGER" },
+  { name: "budget_amount", type: "FLOAT" },
+  { name: "mtd_cost", type: "FLOAT" },
+  { name: "pct_used", type: "FLOAT" },
+  { name: "through_date", type: "DATE" },
+  { name: "run_id", type: "STRING" },
+  { name: "notified", type: "STRING" },
+  { name: "alerted_at", type: "TIMESTAMP" },
+];
+
+/**
+ * Parse and validate the BUDGETS Script Property. Returns [] when no budgets are defined.
+ */
+function getBudgets() {
+  var raw = PropertiesService.getScriptProperties().getProperty("BUDGETS");
+  if (!raw) return [];
+  var list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error("BUDGETS must be valid JSON: " + e.toString());
+  }
+  if (!Array.isArray(list))
+    throw new Error("BUDGETS must be a JSON array of budgets");
+  var names = {};
+  return list.map(function (b, i) {
+    if (!b || !b.accountUuid)
+      throw new Error("BUDGETS[" + i + "] needs an accountUuid");
+    var amount = Number(b.amount);
+    if (!(amount > 0))
+      throw new Error("BUDGETS[" + i + "] needs a positive amount");
+    var name =
+      b.name || [b.site || "*", b.accountUuid, b.spendingType || "*"].join("/");
+    if (names[name]) throw new Error("Duplicate budget name: " + name);
+    names[name] = true;
+    return {
+      name: name,
+      accountUuid: String(b.accountUuid),
+      site: b.site || null,
+      spendingType: b.spendingType || null,
+      amount: amount,
+    };
+  });
+}
+
+function getBudgetThresholds() {
+  return parseListProperty(
+    PropertiesService.getScriptProperties().getProperty("BUDGET_THRESHOLDS") ||
+      "50,80,100"
+  )
+    .map(Number)
+    .sort(function (a, b) {
+      return a - b;
+    });
+}
+
+/**
+ * Evaluate every budget for the month of `billingDate` (month-to-date through that date).
+ * Called after each collection (see collectBillingForDate); can also be run by hand.
+ * With `statusOnly` the status is recorded but no threshold fires (history being rebuilt).
+ * Returns one status per budget: { name, mtdCost, pctUsed, newThresholds, unconvertedRows }.
+ */
+function evaluateBudgets(billingDate, runId, statusOnly) {
+  var budgets = getBudgets();
+  if (!budgets.length) return [];
+  var props = PropertiesService.getScriptProperties();
+  var projectId = props.getProperty("BQ_PROJECT") || "";
+  var datasetId = props.getProperty("BQ_DATASET") || "";
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  if (!projectId || !datasetId || !tableId)
+    throw new Error(
+      "Set BQ_PROJECT, BQ_DATASET, BQ_TABLE in Script Properties"
+    );
+  var statusTable =
+    props.getProperty("BQ_BUDGET_STATUS_TABLE") || tableId + "_budget_status";
+  var alertsTable =
+    props.getProperty("BQ_BUDGET_ALERTS_TABLE") || tableId + "_budget_alerts";
+  ensureBQTableWithSchema(projectId, datasetId, statusTable, {
+    friendlyName: "ZStack budget status",
+    description: "Month-to-date cost per budget after each collection",
+    fields: BQ_BUDGET_STATUS_FIELDS,
+    partitionField: "budget_month",
+  });
+  ensureBQTableWithSchema(projectId, datasetId, alertsTable, {
+    friendlyName: "ZStack budget alerts",
+    description:
+      "Budget thresholds crossed, one row per budget/month/threshold",
+    fields: BQ_BUDGET_ALERT_FIELDS,
+    partitionField: "budget_month",
+  });
+
+  var month = billingDate.slice(0, 7) + "-01";
+  var costs = queryBQRows(
+    projectId,
+    "SELECT IFNULL(site, " +
+      bqQuote(DEFAULT_ZSTACK_SITE) +
+      ") AS site, account_id, spending_type, SUM(" +
+      BQ_BILLING_COST_EXPR +
+      ") AS cost, COUNTIF(" +
+      BQ_UNCONVERTED_COST_CONDITION +
+      ") AS unconverted_rows FROM `" +
+      projectId +
+      "." +
+      datasetId +
+      "." +
+      tableId +
+      "` WHERE billing_date BETWEEN DATE " +
+      bqQuote(month) +
+      " AND DATE " +
+      bqQuote(billingDate) +
+      " GROUP BY site, account_id, spending_type"
+  );
+  var fired = {};
+  queryBQRows(
+    projectId,
+    "SELECT budget_name, threshold_pct FROM `" +
+      projectId +
+      "." +
+      datasetId +
+      "." +
+      alertsTable +
+      "` WHERE budget_month = DATE " +
+      bqQuote(month)
+  ).forEach(function (a) {
+    fired[a.budget_name + "|" + a.threshold_pct] = true;
+  });
+
+  var thresholds = getBudgetThresholds();
+  var now = new Date().toISOString();
+  var statusRows = [];
+  var alertRows = [];
+  var out = budgets.map(function (b) {
+    var mtd = 0;
+    var unconverted = 0;
+    costs.forEach(function (c) {
+      if (c.account_id !== b.accountUuid) return;
+      if (b.site && c.site !== b.site) return;
+      if (b.spendingType && c.spending_type !== b.spendingType) return;
+      mtd += Number(c.cost || 0);
+      unconverted += Number(c.unconverted_rows || 0);
+    });
+    if (unconverted)
+      Logger.log(
+        "Warning: budget %s leaves out %s row(s) without a billing-currency cost through %s; add the FX rate and re-collect",
+        b.name,
+        unconverted,
+        billingDate
+      );
+    var pct = (mtd / b.amount) * 100;
+    var base = {
+      budget_month: month,
+      budget_name: b.name,
+      site: b.site,
+      account_id: b.accountUuid,
+      spending_type: b.spendingType,
+      budget_amount: b.amount,
+      mtd_cost: mtd,
+      pct_used: pct,
+      through_date: billingDate,
+      run_id: runId || null,
+    };
+    statusRows.push({ json: Object.assign({ evaluated_at: now }, base) });
+
+    var crossed = statusOnly
+      ? []
+      : thresholds.filter(function (t) {
+          return pct >= t && !fired[b.name + "|" + t];
+        });
+    if (crossed.length) {
+      // one notification for the highest threshold; every crossed threshold is recorded as fired
+      var top = crossed[crossed.length - 1];
+      var notified = notify({
+        severity: top >= 100 ? "error" : "warning",
+        title:
+          "Budget " + b.name + " reached " + top + "% for " + month.slice(0, 7),
+        message:
+          "Month-to-date cost " +
+          mtd.toFixed(2) +
+          " of " +
+          b.amount.toFixed(2) +
+          " (" +
+          pct.toFixed(1) +
+          "%) through " +
+          billingDate +
+          ".",
+        key: "budget|" + b.name + "|" + month + "|" + top,
+      });
+      // not delivered: leave the thresholds unfired so the next run alerts again
+      if (notified !== "failed")
+        crossed.forEach(function (t) {
+          alertRows.push({
+            json: Object.assign(
+              {
+                threshold_pct: t,
+                notified: t === top ? notified : "superseded",
+                alerted_at: now,
+              },
+              base
+            ),
+          });
+        });
+    }
+    return {
+      name: b.name,
+      mtdCost: mtd,
+      pctUsed: pct,
+      newThresholds: crossed,
+      unconvertedRows: unconverted,
+    };
+  });
+
+  insertRowsToBQ(projectId, datasetId, statusTable, statusRows);
+  if (alertRows.length)
+    insertRowsToBQ(projectId, datasetId, alertsTable, alertRows);
+  return out;
+}
+
+/**
+ * Run budget evaluation after a collection run; failures only log. Backfills, month collections and
+ * dates before the month of yesterday only record the status: alerting on them would report old
+ * spend as news (or fire this month's thresholds from a past month). The month of yesterday, not of
+ * today, so the daily run on the 1st (which collects the last day of the previous month) still alerts.
+ */
+function evaluateBudgetsAfterRun(run, out) {
+  if (run.dryRun || !out) return;
+  var today = Utilities.formatDate(new Date(), "Asia/Jakarta", "yyyy-MM-dd");
+  var statusOnly =
+    run.trigger === "backfill" ||
+    run.trigger === "month" ||
+    run.billingDate.slice(0, 7) < addDaysToIsoDate(today, -1).slice(0, 7);
+  try {
+    evaluateBudgets(run.billingDate, run.runId, statusOnly);
+  } catch (e) {
+    Logger.log(
+      "Warning: budget evaluation failed for %s: %s",
+      run.billingDate,
+      e.toString()
+    );
+  }
+}
@@ -5,84 +5,83 @@
  *  - Enable BigQuery Advanced Service in Apps Script
  *  - Add OAuth scopes in appsscript.json
  */
-function collectBillingDaily() {
+function collectBillingDaily(e) {
   var today = new Date();
   var yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
   // Use Asia/Jakarta (UTC+7) as requested
   var TZ = "Asia/Jakarta";
   var billingDate = Utilities.formatDate(yesterday, TZ, "yyyy-MM-dd");
-  return collectBillingForDate(billingDate);
+  // time-driven triggers pass an event object; editor / clasp runs do not
+  return collectBillingForDate(billingDate, {
+    trigger: e && e.triggerUid ? "time_trigger" : "manual",
+  });
 }
 
-// In-memory cache to avoid repeated login requests within the same execution
-var ZSTACK_CACHE = { token: null, accountUuid: null, fetchedAtSec: 0 };
+// In-memory cache to avoid repeated login requests within the same execution.
+// Kept per endpoint name (see getEndpointCache) so data from one cluster never enriches another.
+var ZSTACK_CACHE = { endpoints: {} };
+
+// Site name used for the legacy single-endpoint configuration and for rows written before `site` existed
+var DEFAULT_ZSTACK_SITE = "default";
 
 /**
  * Collect billing for a specific date string (YYYY-MM-DD).
  * This is useful for manual backfills or testing.
+ *
+ * Every endpoint from getZstackEndpoints() is collected. Per endpoint only its configured account
+ * (or the login account) is collected, unless accountMode is "all" (see resolveBillingAccounts).
+ *
+ * `options` (optional): { dryRun: true } builds the rows as usual but writes nothing; the result then
+ * also holds `rows` and `diff` (comparison with what BigQuery has for the date, see diffBillingRows).
+ * `options.overrideClosedPeriod` ("<reason>") rewrites dates closed with closeBillingPeriod; without it a
+ * closed date keeps its rows and differences go to the adjustments table (see PeriodLocks.js).
+ * `options.trigger` is recorded as the run's trigger source in the run history (see RunHistory.js).
+ * Failures and warnings are sent through notifyCollectorRun (see Notifications.js).
+ * Budgets (see Budgets.js), resource anomalies (see Anomalies.js) and the month-end forecast
+ * (see Forecast.js) are evaluated after every run that wrote rows.
  */
-function collectBillingForDate(dateStr) {
+function collectBillingForDate(dateStr, options) {
+  options = options || {};
+  var run = startCollectorRun(dateStr, options);
+  var out;
+  try {
+    out = runBillingCollectionForDate(dateStr, options, run);
+  } catch (e) {
+    finishCollectorRun(run, null, e);
+    notifyCollectorRun(run, null, e);
+    throw e;
+  }
+  finishCollectorRun(run, out, null);
+  notifyCollectorRun(run, out, null);
+  evaluateBudgetsAfterRun(run, out);
+  detectAnomaliesAfterRun(run, out);
+  forecastAfterRun(run, out);
+  return out;
+}
+
+function runBillingCollectionForDate(dateStr, options, run) {
   if (!dateStr || typeof dateStr !== "string")
     throw new Error("dateStr must be provided as YYYY-MM-DD");
 
   // Copy of main logic but using provided date
   var props = PropertiesService.getScriptProperties();
-  var apiUrl = props.getProperty("ZSTACK_API_URL") || "";
-  var apiKey = props.getProperty("ZSTACK_API_KEY") || "";
-  var accessKey = props.getProperty("ZSTACK_ACCESS_KEY") || "";
-  var accessSecret = props.getProperty("ZSTACK_ACCESS_SECRET") || "";
-  var username = props.getProperty("ZSTACK_USERNAME") || "";
-  var password = props.getProperty("ZSTACK_PASSWORD") || "";
-  var extraQuery = props.getProperty("ZSTACK_EXTRA_QUERY") || "";
   var projectId = props.getProperty("BQ_PROJECT") || "";
   var datasetId = props.getProperty("BQ_DATASET") || "";
   var tableId = props.getProperty("BQ_TABLE") || "";
-  var accountUuid = props.getProperty("ZSTACK_ACCOUNT_UUID") || "";
-  var billingPath =
-    props.getProperty("ZSTACK_BILLING_PATH") || "/zstack/v1/billings/accounts";
-
-  var sessionToken = "";
-  if (username && password) {
-    var loginRes = loginZstack(apiUrl, username, password);
-    if (loginRes) {
-      sessionToken = loginRes.token || loginRes.uuid || "";
-      if (loginRes.accountUuid)
-        accountUuid = accountUuid || loginRes.accountUuid;
-      if (loginRes.uuid && !accountUuid) accountUuid = loginRes.uuid;
-    }
-  }
-
-  if (
-    !apiUrl ||
-    !(apiKey || (accessKey && accessSecret) || (username && password)) ||
-    !projectId ||
-    !datasetId ||
-    !tableId
-  ) {
+  if (!projectId || !datasetId || !tableId) {
     throw new Error(
-      "Missing script properties. Set ZSTACK_API_URL and either ZSTACK_API_KEY or (ZSTACK_ACCESS_KEY + ZSTACK_ACCESS_SECRET), and BQ_PROJECT, BQ_DATASET, BQ_TABLE"
+      "Missing script properties. Set BQ_PROJECT, BQ_DATASET, BQ_TABLE"
     );
   }
+  var endpoints = getZstackEndpoints();
 
   var billingDate = dateStr;
-  var rowsBatch = [];
-  // simple dedupe map to avoid inserting duplicate rows (keyed by resource + inventory + times + cost)
-  var seenKeys = {};
-
-  ensureBQTable(projectId, datasetId, tableId);
 
-  var pricesByTable = null;
-  var vmMap = {};
-  var volumeToVm = {};
+  if (!options.dryRun) ensureBQTable(projectId, datasetId, tableId);
 
-  // Build start/end at midnight in UTC+7 (Asia/Jakarta) and use epoch milliseconds (13 digits)
-  var start = new Date(billingDate + "T00:00:00.000+07:00");
-  var end = new Date(billingDate + "T23:59:59.999+07:00");
-  var dateStartMs = start.getTime();
-  var dateEndMs = end.getTime();
-  // Ensure integers (avoid any float/scientific notation)
-  dateStartMs = parseInt(dateStartMs, 10);
-  dateEndMs = parseInt(dateEndMs, 10);
+  var range = billingDateRangeMs(billingDate);
+  var dateStartMs = range.dateStartMs;
+  var dateEndMs = range.dateEndMs;
   // Log epoch start/end (milliseconds) for diagnostics
   Logger.log(
     "Billing date %s -> dateStart=%s dateEnd=%s (epoch ms)",
@@ -91,44 +90,611 @@ function collectBillingForDate(dateStr) {
     String(dateEndMs)
   );
 
-  if (!accountUuid) {
-    throw new Error("Missing ZSTACK_ACCOUNT_UUID in Script Properties");
-  }
-  var base = apiUrl.replace(/\/$/, "");
-  var url = base + billingPath + "/" + accountUuid + "/actions";
-  if (extraQuery) url += (url.indexOf("?") === -1 ? "?" : "&") + extraQuery;
+  var ctx = {
+    runId: run.runId,
+    projectId: projectId,
+    datasetId: datasetId,
+    tableId: tableId,
+    billingDate: billingDate,
+    dateStartMs: dateStartMs,
+    dateEndMs: dateEndMs,
+    lockOverride: options.overrideClosedPeriod
+      ? { reason: String(options.overrideClosedPeriod), runId: run.runId }
+      : null,
+  };
 
-  var headers = {};
-  if (apiKey) {
-    headers.Authorization = "Bearer " + apiKey;
-  } else if (accessKey && accessSecret) {
-    headers["X-Access-Key"] = accessKey;
-    headers["X-Access-Secret"] = accessSecret;
-  } else if (username && password) {
-    if (sessionToken) {
-      headers.Authorization = "OAuth " + sessionToken;
-    } else {
-      var basic = Utilities.base64Encode(username + ":" + password);
-      headers.Authorization = "Basic " + basic;
+  // One failing endpoint or account must not stop the others; failures are reported in the result
+  var results = [];
+  var vmInventoriesBySite = {};
+  var volumeInventoriesBySite = {};
+  endpoints.forEach(function (ep) {
+    var endpoint;
+    var accountUuids;
+    try {
+      endpoint = connectZstackEndpoint(ep);
+      accountUuids = resolveEndpointAccounts(endpoint);
+    } catch (e) {
+      Logger.log(
+        "ZStack endpoint %s unavailable on %s: %s",
+        ep.name,
+        billingDate,
+        e.toString()
+      );
+      results.push({
+        site: ep.name,
+        accountUuid: null,
+        ok: false,
+        error: e.toString(),
+      });
+      return;
     }
+    accountUuids.forEach(function (acct) {
+      var startedAt = new Date().toISOString();
+      var mark = collectorStatsMark();
+      var result;
+      try {
+        result = collectAccountBillingForDate(ctx, endpoint, acct);
+      } catch (e) {
+        Logger.log(
+          "collectAccountBillingForDate failed for %s/%s on %s: %s",
+          endpoint.name,
+          acct,
+          billingDate,
+          e.toString()
+        );
+        result = {
+          site: endpoint.name,
+          accountUuid: acct,
+          ok: false,
+          error: e.toString(),
+        };
+      }
+      var stats = collectorStatsSince(mark);
+      result.startedAt = startedAt;
+      result.finishedAt = new Date().toISOString();
+      result.httpRequests = stats.httpRequests;
+      result.httpStatusCodes = stats.httpStatusCodes;
+      result.retries = stats.retries;
+      results.push(result);
+    });
+    if (endpoint.cache.vmInventories)
+      vmInventoriesBySite[endpoint.name] = endpoint.cache.vmInventories;
+    if (endpoint.cache.volumeInventories)
+      volumeInventoriesBySite[endpoint.name] = endpoint.cache.volumeInventories;
+    if (!options.dryRun) {
+      syncPriceHistoryAfterRun(ctx, endpoint);
+      captureInventorySnapshotAfterRun(ctx, endpoint);
+    }
+  });
+
+  applyReconciliationPolicy(results);
+
+  var dryRunOutput = null;
+  if (options.dryRun) {
+    dryRunOutput = buildDryRunOutput(ctx, results);
+  } else {
+    writeBillingRowsForDate(ctx, results);
+    recordPricingLedger(ctx, results);
+    archiveRawResponses(
+      ctx,
+      results,
+      vmInventoriesBySite,
+      volumeInventoriesBySite
+    );
+    recordReconciliation(ctx, results);
+  }
+  results.forEach(function (r) {
+    delete r.rowsBatch;
+    delete r.raw;
+  });
+
+  var failed = results.filter(function (r) {
+    return !r.ok;
+  });
+  if (failed.length === results.length) {
+    var err = new Error(
+      "Billing collection failed for all accounts on " +
+        billingDate +
+        ": " +
+        failed
+          .map(function (r) {
+            return r.site + "/" + (r.accountUuid || "*") + ": " + r.error;
+          })
+          .join("; ")
+    );
+    err.accounts = results;
+    throw err;
+  }
+
+  var warned = results.some(function (r) {
+    return r.warnings && r.warnings.length;
+  });
+  var out = {
+    status: failed.length ? "partial" : warned ? "warning" : "ok",
+    date: billingDate,
+    runId: ctx.runId,
+    accounts: results,
+    costCheck: summarizeRunCostChecks(results),
+  };
+  if (dryRunOutput) {
+    out.dryRun = true;
+    out.rows = dryRunOutput.rows;
+    out.diff = dryRunOutput.diff;
   }
+  return out;
+}
+
+/**
+ * Reconciliation settings from Script Properties:
+ * RECONCILE_TOLERANCE (absolute, default 0.01), RECONCILE_TOLERANCE_PCT (relative to the ZStack
+ * figure, default 0; the larger allowance wins) and RECONCILE_ON_MISMATCH ("warn" default, or "fail").
+ */
+function getReconcileConfig() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    tolerance: Number(props.getProperty("RECONCILE_TOLERANCE") || "0.01"),
+    tolerancePct: Number(props.getProperty("RECONCILE_TOLERANCE_PCT") || "0"),
+    onMismatch: (
+      props.getProperty("RECONCILE_ON_MISMATCH") || "warn"
+    ).toLowerCase(),
+  };
+}
+
+/**
+ * Compare imported row costs with the figures in the calculateAccountSpending payload:
+ * `total`, each spending type's `spending` and each `hypervisorTypeSpending` entry.
+ * Returns { status: "ok" | "mismatch", checks: [{ dimension, key, expected, actual, diff, allowed, status }] }.
+ */
+function reconcileBillingRows(payload, rows, config) {
+  var sumBy = function (keyFn) {
+    var out = {};
+    rows.forEach(function (r) {
+      var k = keyFn(r);
+      out[k] = (out[k] || 0) + Number(r.cost || 0);
+    });
+    return out;
+  };
+  var byType = sumBy(function (r) {
+    return r.spending_type || "";
+  });
+  var byHypervisor = sumBy(function (r) {
+    return r.hypervisor_type || "";
+  });
+  var total = 0;
+  rows.forEach(function (r) {
+    total += Number(r.cost || 0);
+  });
+
+  var checks = [];
+  var check = function (dimension, key, expected, actual) {
+    var diff = actual - expected;
+    var allowed = Math.max(
+      config.tolerance || 0,
+      (Math.abs(expected) * (config.tolerancePct || 0)) / 100
+    );
+    checks.push({
+      dimension: dimension,
+      key: key,
+      expected: expected,
+      actual: actual,
+      diff: diff,
+      allowed: allowed,
+      status: Math.abs(diff) <= allowed ? "ok" : "mismatch",
+    });
+  };
+
+  var expectedHypervisor = {};
+  (payload.spending || []).forEach(function (sp) {
+    var type = sp.spendingType || "";
+    check("spending_type", type, Number(sp.spending || 0), byType[type] || 0);
+    var hts = sp.hypervisorTypeSpending || {};
+    Object.keys(hts).forEach(function (h) {
+      expectedHypervisor[h] = (expectedHypervisor[h] || 0) + Number(hts[h]);
+    });
+  });
+  Object.keys(expectedHypervisor).forEach(function (h) {
+    check("hypervisor", h, expectedHypervisor[h], byHypervisor[h] || 0);
+  });
+  if (payload.total !== undefined && payload.total !== null)
+    check("total", "total", Number(payload.total), total);
+
+  return {
+    status: checks.some(function (c) {
+      return c.status !== "ok";
+    })
+      ? "mismatch"
+      : "ok",
+    checks: checks,
+  };
+}
+
+function summarizeReconciliation(reconciliation) {
+  return reconciliation.checks
+    .filter(function (c) {
+      return c.status !== "ok";
+    })
+    .map(function (c) {
+      return (
+        c.dimension +
+        " " +
+        c.key +
+        " expected " +
+        c.expected.toFixed(2) +
+        " got " +
+        c.actual.toFixed(2)
+      );
+    })
+    .join("; ");
+}
+
+/**
+ * With RECONCILE_ON_MISMATCH=fail, accounts whose rows do not add up are marked failed (and not written).
+ */
+function applyReconciliationPolicy(results) {
+  if (getReconcileConfig().onMismatch !== "fail") return;
+  results.forEach(function (r) {
+    if (!r.ok || !r.reconciliation || r.reconciliation.status === "ok") return;
+    r.ok = false;
+    r.error =
+      "reconciliation mismatch: " + summarizeReconciliation(r.reconciliation);
+  });
+}
+
+/**
+ * Cost check settings from Script Properties: COST_CHECK_TOLERANCE (absolute, default 0.01) and
+ * COST_CHECK_TOLERANCE_PCT (relative to expected_cost, default 1; the larger allowance wins).
+ */
+function getCostCheckConfig() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    tolerance: Number(props.getProperty("COST_CHECK_TOLERANCE") || "0.01"),
+    tolerancePct: Number(props.getProperty("COST_CHECK_TOLERANCE_PCT") || "1"),
+  };
+}
+
+/**
+ * Compare each row's cost (ZStack's `spending` of the segment) with expected_cost (price x usage).
+ * Rows without expected_cost are skipped. Returns { checked, flagged, variance (sum over flagged),
+ * segments: flagged [{ resource_id, resource_name, inventory_type, date_start_ms, cost, expected_cost,
+ * cost_variance, allowed, price_uuid }], the 20 largest variances }.
+ */
+function verifyBillingCosts(rows, config) {
+  var out = { checked: 0, flagged: 0, variance: 0, segments: [] };
+  rows.forEach(function (r) {
+    if (r.expected_cost === null || r.expected_cost === undefined) return;
+    out.checked++;
+    var allowed = Math.max(
+      config.tolerance || 0,
+      (Math.abs(r.expected_cost) * (config.tolerancePct || 0)) / 100
+    );
+    if (Math.abs(r.cost_variance) <= allowed) return;
+    out.flagged++;
+    out.variance += r.cost_variance;
+    out.segments.push({
+      resource_id: r.resource_id,
+      resource_name: r.resource_name,
+      inventory_type: r.inventory_type,
+      date_start_ms: r.date_start_ms,
+      cost: r.cost,
+      expected_cost: r.expected_cost,
+      cost_variance: r.cost_variance,
+      allowed: allowed,
+      price_uuid: r.price_uuid,
+    });
+  });
+  out.segments = out.segments
+    .sort(function (a, b) {
+      return Math.abs(b.cost_variance) - Math.abs(a.cost_variance);
+    })
+    .slice(0, 20);
+  return out;
+}
+
+function summarizeCostCheck(costCheck) {
+  return costCheck.segments
+    .slice(0, 5)
+    .map(function (c) {
+      return (
+        (c.resource_name || c.resource_id) +
+        " " +
+        (c.inventory_type || "") +
+        " expected " +
+        c.expected_cost.toFixed(2) +
+        " got " +
+        Number(c.cost).toFixed(2)
+      );
+    })
+    .join("; ");
+}
+
+/**
+ * Run-level cost check summary: { checked, flagged, variance, segments } over every collected account,
+ * segments tagged with site/accountUuid (the 20 largest variances).
+ */
+function summarizeRunCostChecks(results) {
+  var out = { checked: 0, flagged: 0, variance: 0, segments: [] };
+  results.forEach(function (r) {
+    if (!r.costCheck) return;
+    out.checked += r.costCheck.checked;
+    out.flagged += r.costCheck.flagged;
+    out.variance += r.costCheck.variance;
+    r.costCheck.segments.forEach(function (c) {
+      out.segments.push(
+        Object.assign({ site: r.site, accountUuid: r.accountUuid }, c)
+      );
+    });
+  });
+  out.segments = out.segments
+    .sort(function (a, b) {
+      return Math.abs(b.cost_variance) - Math.abs(a.cost_variance);
+    })
+    .slice(0, 20);
+  return out;
+}
 
-  // Now that `base` and `headers` are available, fetch price/VM caches
+/**
+ * Store the reconciliation checks of a run in BQ_RECONCILE_TABLE (default `<BQ_TABLE>_reconciliation`).
+ */
+function recordReconciliation(ctx, results) {
+  var props = PropertiesService.getScriptProperties();
+  var reconTable =
+    props.getProperty("BQ_RECONCILE_TABLE") || ctx.tableId + "_reconciliation";
+  var checkedAt = new Date().toISOString();
+  var rows = [];
+  results.forEach(function (r) {
+    if (!r.reconciliation) return;
+    r.reconciliation.checks.forEach(function (c) {
+      rows.push({
+        json: {
+          billing_date: ctx.billingDate,
+          run_id: ctx.runId,
+          site: r.site,
+          account_id: r.accountUuid,
+          dimension: c.dimension,
+          key: c.key,
+          expected: c.expected,
+          actual: c.actual,
+          diff: c.diff,
+          allowed: c.allowed,
+          status: c.status,
+          // the account's outcome after RECONCILE_ON_MISMATCH was applied
+          run_status: r.ok ? "ok" : "failed",
+          checked_at: checkedAt,
+        },
+      });
+    });
+  });
+  if (!rows.length) return;
   try {
-    var tableUuid = fetchPriceTableUuid(base, headers, accountUuid);
-    if (tableUuid)
-      pricesByTable = fetchPricesForTable(base, headers, tableUuid);
+    ensureBQTableWithSchema(ctx.projectId, ctx.datasetId, reconTable, {
+      friendlyName: "ZStack billing reconciliation",
+      description: "Imported row sums compared with ZStack spending totals",
+      fields: [
+        { name: "billing_date", type: "DATE" },
+        { name: "run_id", type: "STRING" },
+        { name: "site", type: "STRING" },
+        { name: "account_id", type: "STRING" },
+        { name: "dimension", type: "STRING" },
+        { name: "key", type: "STRING" },
+        { name: "expected", type: "FLOAT" },
+        { name: "actual", type: "FLOAT" },
+        { name: "diff", type: "FLOAT" },
+        { name: "allowed", type: "FLOAT" },
+        { name: "status", type: "STRING" },
+        { name: "run_status", type: "STRING" },
+        { name: "checked_at", type: "TIMESTAMP" },
+      ],
+      partitionField: "billing_date",
+    });
+    insertRowsToBQ(ctx.projectId, ctx.datasetId, reconTable, rows);
   } catch (e) {
-    Logger.log("Warning: failed to fetch prices: %s", e.toString());
+    Logger.log(
+      "Warning: failed to record reconciliation for run %s: %s",
+      ctx.runId,
+      e.toString()
+    );
   }
+}
+
+/**
+ * Epoch ms bounds of a billing date: midnight to 23:59:59.999 in UTC+7 (Asia/Jakarta).
+ */
+function billingDateRangeMs(billingDate) {
+  // Build start/end at midnight in UTC+7 (Asia/Jakarta) and use epoch milliseconds (13 digits)
+  var start = new Date(billingDate + "T00:00:00.000+07:00");
+  var end = new Date(billingDate + "T23:59:59.999+07:00");
+  // Ensure integers (avoid any float/scientific notation)
+  return {
+    dateStartMs: parseInt(start.getTime(), 10),
+    dateEndMs: parseInt(end.getTime(), 10),
+  };
+}
+
+/**
+ * Dry run: compare the collected rows with the rows BigQuery holds for the same (date, site, account)
+ * scopes, mirroring what writeBillingRowsForDate would replace (accounts without rows are left alone).
+ * With BQ_WRITE_MODE=load the whole partition is replaced, so every row of the date is compared
+ * (rows of other accounts show up as removed).
+ */
+function buildDryRunOutput(ctx, results) {
+  var load = getBQWriteMode() === "load";
+  var rows = [];
+  var scopes = [];
+  results.forEach(function (r) {
+    if (!r.ok || (!load && !r.rowsBatch.length)) return;
+    scopes.push({ site: r.site, accountUuid: r.accountUuid });
+    r.rowsBatch.forEach(function (row) {
+      rows.push(row.json);
+    });
+  });
+  var existing = load
+    ? fetchExistingBillingRows(ctx, [{}])
+    : scopes.length
+      ? fetchExistingBillingRows(ctx, scopes)
+      : [];
+  return { rows: rows, diff: diffBillingRows(rows, existing) };
+}
+
+/**
+ * Read the billing rows of ctx.billingDate for the given scopes (empty if the table does not exist yet).
+ */
+function fetchExistingBillingRows(ctx, scopes) {
   try {
-    var vmFetch = fetchVmMaps(base, headers);
-    vmMap = vmFetch.vmMap || {};
-    volumeToVm = vmFetch.volumeToVm || {};
+    BigQuery.Tables.get(ctx.projectId, ctx.datasetId, ctx.tableId);
   } catch (e) {
-    Logger.log("Warning: failed to fetch vm instances: %s", e.toString());
+    return [];
   }
+  var sql =
+    "SELECT billing_date, site, account_id, resource_id, resource_name, spending_type," +
+    " inventory_type, date_start_ms, date_end_ms, cost FROM `" +
+    ctx.projectId +
+    "." +
+    ctx.datasetId +
+    "." +
+    ctx.tableId +
+    "` WHERE billing_date = DATE " +
+    bqQuote(ctx.billingDate) +
+    " AND (" +
+    scopes
+      .map(function (scope) {
+        return "(TRUE" + bqScopeCondition(scope) + ")";
+      })
+      .join(" OR ") +
+    ")";
+  return queryBQRows(ctx.projectId, sql);
+}
+
+/**
+ * Compare new billing rows with existing ones (plain row objects), keyed like the MERGE key
+ * (BQ_BILLING_KEY_FIELDS); costs of duplicate keys are summed.
+ * Returns { added, removed, changed, unchanged, netDelta } where netDelta holds the cost change
+ * per site, account and spending type.
+ */
+function diffBillingRows(newRows, existingRows) {
+  var index = function (rows) {
+    var map = {};
+    rows.forEach(function (r) {
+      var k = billingRowKey(r);
+      if (!map[k]) {
+        map[k] = {
+          site: r.site || DEFAULT_ZSTACK_SITE,
+          account_id: r.account_id,
+          resource_id: r.resource_id,
+          resource_name: r.resource_name,
+          spending_type: r.spending_type,
+          inventory_type: r.inventory_type || null,
+          date_start_ms: Number(r.date_start_ms),
+          date_end_ms: Number(r.date_end_ms),
+          cost: 0,
+        };
+      }
+      map[k].cost += Number(r.cost || 0);
+    });
+    return map;
+  };
+  var before = index(existingRows);
+  var after = index(newRows);
+  var diff = { added: [], removed: [], changed: [], unchanged: 0 };
+  var totals = {};
+  var addTotal = function (r, oldCost, newCost) {
+    var k = [r.site, r.account_id, r.spending_type].join("|");
+    if (!totals[k])
+      totals[k] = {
+        site: r.site,
+        account_id: r.account_id,
+        spending_type: r.spending_type,
+        old_cost: 0,
+        new_cost: 0,
+        delta: 0,
+      };
+    totals[k].old_cost += oldCost;
+    totals[k].new_cost += newCost;
+    totals[k].delta += newCost - oldCost;
+  };
+
+  Object.keys(after).forEach(function (k) {
+    var n = after[k];
+    var o = before[k];
+    if (!o) {
+      diff.added.push(n);
+      addTotal(n, 0, n.cost);
+    } else if (Math.abs(n.cost - o.cost) > 1e-6) {
+      diff.changed.push({
+        row: n,
+        old_cost: o.cost,
+        new_cost: n.cost,
+        delta: n.cost - o.cost,
+      });
+      addTotal(n, o.cost, n.cost);
+    } else {
+      diff.unchanged++;
+      addTotal(n, o.cost, n.cost);
+    }
+  });
+  Object.keys(before).forEach(function (k) {
+    if (after[k]) return;
+    diff.removed.push(before[k]);
+    addTotal(before[k], before[k].cost, 0);
+  });
+  diff.netDelta = Object.keys(totals).map(function (k) {
+    return totals[k];
+  });
+  return diff;
+}
+
+/**
+ * Key of a billing row (plain object) on BQ_BILLING_KEY_FIELDS.
+ */
+function billingRowKey(r) {
+  return BQ_BILLING_KEY_FIELDS.map(function (f) {
+    var v = r[f];
+    if (f === "site") v = v || DEFAULT_ZSTACK_SITE;
+    if (f === "date_start_ms" || f === "date_end_ms") v = Number(v);
+    return v === null || v === undefined ? "" : String(v);
+  }).join("|");
+}
+
+/**
+ * Collect billing rows for one account of an endpoint on ctx.billingDate.
+ * The rows are returned in `rowsBatch` and written by `writeBillingRowsForDate`.
+ * `ctx` is built by `collectBillingForDate` (BigQuery ids, date range); `endpoint` by `connectZstackEndpoint`.
+ */
+function collectAccountBillingForDate(ctx, endpoint, accountUuid) {
+  var billingDate = ctx.billingDate;
+  var dateStartMs = ctx.dateStartMs;
+  var dateEndMs = ctx.dateEndMs;
+  var site = endpoint.name;
+  var base = endpoint.base;
+  var headers = endpoint.headers;
+
+  var pricesByTable = null;
+  var vmMap = {};
+  var volumeToVm = {};
+  var volumeMap = {};
+  var warnings = [];
+
+  var url = base + endpoint.billingPath + "/" + accountUuid + "/actions";
+  if (endpoint.extraQuery)
+    url += (url.indexOf("?") === -1 ? "?" : "&") + endpoint.extraQuery;
 
+  // Now that `base` and `headers` are available, fetch the price cache
+  try {
+    var tableUuid = fetchPriceTableUuid(endpoint, accountUuid);
+    if (tableUuid) pricesByTable = fetchPricesForTable(endpoint, tableUuid);
+  } catch (e) {
+    Logger.log("Warning: failed to fetch prices: %s", e.toString());
+    warnings.push("failed to fetch prices: " + e.toString());
+  }
+  var fx = resolveFxConversion(
+    ctx,
+    site,
+    accountUuid,
+    tableUuid || endpoint.priceTableUuid
+  );
+  if (fx.warning) {
+    Logger.log("Warning: %s", fx.warning);
+    warnings.push(fx.warning);
+  }
   // ZStack expects milliseconds since epoch (integer) for this environment
   var body = {
     calculateAccountSpending: {
@@ -160,11 +726,129 @@ function collectBillingForDate(dateStr) {
 
   var resp = UrlFetchApp.fetch(url, options);
   var code = resp.getResponseCode();
+  recordZstackHttpStatus(code);
   if (code >= 400) {
     throw new Error("ZStack API error: " + resp.getContentText());
   }
 
-  var payload = JSON.parse(resp.getContentText());
+  var payloadText = resp.getContentText();
+  var payload = JSON.parse(payloadText);
+  try {
+    // only the VMs (or VMs owning the volumes) billed in the payload are looked up;
+    // past dates are enriched from the inventory snapshot closest to them (see InventorySnapshots.js)
+    var vmFetch = fetchVmMapsForDate(
+      ctx,
+      endpoint,
+      spendingResourceUuids(payload)
+    );
+    vmMap = vmFetch.vmMap || {};
+    volumeToVm = vmFetch.volumeToVm || {};
+    volumeMap = vmFetch.volumeMap || {};
+    if (vmFetch.volumesError)
+      warnings.push("failed to fetch volumes: " + vmFetch.volumesError);
+  } catch (e) {
+    Logger.log("Warning: failed to fetch vm instances: %s", e.toString());
+    warnings.push("failed to fetch vm instances: " + e.toString());
+  }
+  var rowsBatch = buildBillingRows(
+    payload,
+    pricesByTable,
+    { vmMap: vmMap, volumeToVm: volumeToVm, volumeMap: volumeMap },
+    {
+      runId: ctx.runId,
+      billingDate: billingDate,
+      site: site,
+      accountUuid: accountUuid,
+      dateStartMs: dateStartMs,
+      dateEndMs: dateEndMs,
+      fx: fx,
+    }
+  );
+
+  var reconciliation = reconcileBillingRows(
+    payload,
+    rowsBatch.map(function (r) {
+      return r.json;
+    }),
+    getReconcileConfig()
+  );
+  if (reconciliation.status !== "ok")
+    warnings.push(
+      "reconciliation mismatch: " + summarizeReconciliation(reconciliation)
+    );
+  var costCheck = verifyBillingCosts(
+    rowsBatch.map(function (r) {
+      return r.json;
+    }),
+    getCostCheckConfig()
+  );
+  if (costCheck.flagged)
+    warnings.push(
+      "cost check: " +
+        costCheck.flagged +
+        " of " +
+        costCheck.checked +
+        " segments differ from price x usage: " +
+        summarizeCostCheck(costCheck)
+    );
+  // contract discounts and credits, after reconciliation (which checks list cost)
+  var pricing = applyPricingRules(ctx, site, accountUuid, rowsBatch);
+  pricing.warnings.forEach(function (w) {
+    warnings.push(w);
+  });
+
+  return {
+    site: site,
+    accountUuid: accountUuid,
+    ok: true,
+    rows: rowsBatch.length,
+    cost: rowsBatch.reduce(function (sum, r) {
+      return sum + Number(r.json.cost || 0);
+    }, 0),
+    warnings: warnings,
+    reconciliation: reconciliation,
+    costCheck: costCheck,
+    pricing: pricing,
+    rowsBatch: rowsBatch,
+    // source payloads for archiveRawResponses
+    raw: {
+      billing: payloadText,
+      priceTableUuid: tableUuid || null,
+      prices: pricesByTable,
+    },
+  };
+}
+
+/**
+ * Turn a calculateAccountSpending payload into billing rows ({ json, insertId } objects for BigQuery).
+ * Pure transformation: no ZStack or BigQuery calls, so saved responses can be replayed through it.
+ * - `prices`: price inventories of the account's price table (or null)
+ * - `vmInventory`: `/vm-instances` inventories array, or prebuilt { vmMap, volumeToVm, volumeMap }
+ *   (see buildVmMaps)
+ * - `context`: { runId, billingDate, site, accountUuid, dateStartMs, dateEndMs, collectedAt,
+ *   fx (resolveFxConversion result used for the currency columns) }
+ */
+function buildBillingRows(payload, prices, vmInventory, context) {
+  var runId = context.runId || null;
+  var billingDate = context.billingDate;
+  var site = context.site || DEFAULT_ZSTACK_SITE;
+  var accountUuid = context.accountUuid;
+  var dateStartMs = context.dateStartMs;
+  var dateEndMs = context.dateEndMs;
+  var collectedAt = context.collectedAt || new Date().toISOString();
+  var pricesByTable = prices || null;
+  var vmMaps =
+    vmInventory && !Array.isArray(vmInventory)
+      ? vmInventory
+      : buildVmMaps(vmInventory || []);
+  var vmMap = vmMaps.vmMap || {};
+  var volumeToVm = vmMaps.volumeToVm || {};
+  var volumeMap = vmMaps.volumeMap || {};
+  var rowsBatch = [];
+  var usageResources = getUsageResources();
+  // simple dedupe map to avoid inserting duplicate rows (keyed by resource + inventory + times + cost)
+  var seenKeys = {};
+
   var spending = payload.spending || [];
   spending.forEach(function (sp) {
     var spendingType = sp.spendingType || "";
@@ -177,6 +861,7 @@ function collectBillingForDate(dateStr) {
       var resourceId = detail.resourceUuid || "";
       var resourceName = detail.resourceName || "";
       var resourceType = detail.type || spendingType || "";
+      var hypervisorType = detail.hypervisorType || null;
 
       // Look for inventory arrays (sizeInventory, cpuInventory, memoryInventory, etc.)
       var inventoryKeys = Object.keys(detail).filter(function (k) {
@@ -191,6 +876,15 @@ function collectBillingForDate(dateStr) {
             var invEnd = parseInt(inv.endTime || dateEnd, 10);
             var invCost = Number(inv.spending || 0);
             // Determine applicable price (use price at invStart)
+            // PCI device / bare-metal segment (see Devices.js)
+            var deviceKind = deviceSpendingKind(
+              spendingType,
+              resourceType,
+              invKey
+            );
+            var device = deviceKind
+              ? deviceSegmentInfo(deviceKind, detail, inv)
+              : null;
             var priceEntry = null;
             try {
               priceEntry = findApplicablePrice(
@@ -198,7 +892,10 @@ function collectBillingForDate(dateStr) {
                 resourceType,
                 spendingType,
                 invKey,
-                invStart
+                invStart,
+                device
+                  ? { kind: deviceKind, offeringUuid: device.offeringUuid }
+                  : null
               );
             } catch (e) {
               Logger.log("findApplicablePrice error: %s", e.toString());
@@ -313,96 +1010,99 @@ function collectBillingForDate(dateStr) {
                 }
               }
             }
+            // volume inventory (also detached / deleted volumes, see fetchVmMaps)
+            var volInfo = volumeMap[resourceId] || null;
+            if (volInfo) {
+              if (!sizeVal) sizeVal = volInfo.size || null;
+              if (!actualSizeVal) actualSizeVal = volInfo.actualSize || null;
+            }
+            var usage = null;
             if (priceEntry) {
-              // compute usage based on timeUnit and resourceUnit when possible
-              var timeUnit = priceEntry.timeUnit || null;
-              var resUnit = priceEntry.resourceUnit || null;
               try {
-                if (timeUnit === "HOURS") {
-                  var hours = (invEnd - invStart) / 3600000.0;
-                  if (priceEntry.resourceName === "cpu") {
-                    var vm = vmMap[resourceId] || null;
-                    var cpuCount = vm && vm.cpuNum ? Number(vm.cpuNum) : 1;
-                    resourceUsed = hours * cpuCount;
-                    resourceUnit = "vCPU-hour";
-                  } else if (resUnit === "GIGABYTE") {
-                    // find size in bytes
-                    var sizeBytes =
-                      inv.volumeSize || inv.volumeSizeInBytes || null;
-                    if (!sizeBytes) {
-                      // try volumeToVm lookup (volume -> vm -> size)
-                      var vmUuid = volumeToVm[resourceId] || null;
-                      if (
-                        vmUuid &&
-                        vmMap[vmUuid] &&
-                        vmMap[vmUuid].volumesMap &&
-                        vmMap[vmUuid].volumesMap[resourceId]
-                      ) {
-                        sizeBytes =
-                          vmMap[vmUuid].volumesMap[resourceId].size || null;
-                      }
-                    }
-                    if (sizeBytes) {
-                      var gb = Number(sizeBytes) / (1024 * 1024 * 1024);
-                      resourceUsed = hours * gb;
-                      resourceUnit = "GB-hour";
-                    } else {
-                      // fallback to cost/price
-                      resourceUsed = priceEntry.price
-                        ? invCost / Number(priceEntry.price)
-                        : null;
-                      resourceUnit = resUnit || null;
-                    }
-                  } else {
-                    // generic HOURS-based resource: fallback to cost/price
-                    resourceUsed = priceEntry.price
-                      ? invCost / Number(priceEntry.price)
-                      : null;
-                    resourceUnit = resUnit || null;
-                  }
-                } else {
-                  // fallback: compute by dividing cost by price
-                  resourceUsed = priceEntry.price
-                    ? invCost / Number(priceEntry.price)
-                    : null;
-                  resourceUnit = priceEntry.resourceUnit || null;
-                }
+                usage = computeUsage(
+                  priceEntry,
+                  invStart,
+                  invEnd,
+                  {
+                    cpuNum: cpuCoreVal,
+                    memorySize: memoryVal,
+                    size: sizeVal,
+                    bandwidth:
+                      inv.bandwidth ||
+                      inv.bandwidthSize ||
+                      inv.outboundBandwidth ||
+                      inv.inboundBandwidth ||
+                      null,
+                    deviceCount: device ? device.count : null,
+                  },
+                  invCost,
+                  usageResources
+                );
               } catch (e) {
                 Logger.log("compute resource_used error: %s", e.toString());
-                resourceUsed = null;
-                resourceUnit = null;
               }
-            } else {
-              // price not found -> keep null per requirement
-              resourceUsed = null;
-              resourceUnit = null;
             }
+            // price not found -> keep null per requirement
+            resourceUsed = usage ? usage.quantity : null;
+            resourceUnit = usage ? usage.unit : null;
+            var expectedCost =
+              usage && usage.source === "inventory"
+                ? usage.priceQuantity * Number(priceEntry.price)
+                : null;
 
             var row = {
               json: {
                 billing_date: billingDate,
+                run_id: runId,
+                site: site,
                 account_id: accountUuid,
                 resource_id: resourceId,
                 resource_name: resourceName,
                 spending_type: spendingType,
                 resource_type: resourceType,
+                hypervisor_type: hypervisorType,
                 cpu_core: cpuCoreVal,
                 memory: memoryVal,
                 size: sizeVal,
                 actual_size: actualSizeVal,
+                volume_type: volInfo ? volInfo.type || null : null,
+                primary_storage_uuid: volInfo
+                  ? volInfo.primaryStorageUuid || null
+                  : null,
+                volume_status: volInfo ? volInfo.status || null : null,
+                attached_vm_uuid: volInfo
+                  ? volInfo.vmInstanceUuid || null
+                  : null,
                 inventory_type: invKey,
+                device_type: deviceKind,
+                device_model: device ? device.model : null,
+                offering_uuid: device ? device.offeringUuid : null,
+                device_count: device ? device.count : null,
                 resource_used: resourceUsed,
                 resource_unit: resourceUnit,
+                price_quantity: usage ? usage.priceQuantity : null,
+                usage_source: usage ? usage.source : null,
                 cost: invCost,
+                // only measured usage can be checked; a quantity derived from cost matches by construction
+                expected_cost: expectedCost,
+                cost_variance:
+                  expectedCost === null ? null : invCost - expectedCost,
                 date_start_ms: invStart,
                 date_end_ms: invEnd,
                 raw_json: JSON.stringify(inv),
-                collected_at: new Date().toISOString(),
+                collected_at: collectedAt,
+                // matched price entry (price per timeUnit and resourceUnit), used for invoices
+                unit_price:
+                  priceEntry && priceEntry.price !== undefined
+                    ? Number(priceEntry.price)
+                    : null,
+                price_uuid: priceEntry ? priceEntry.uuid || null : null,
               },
             };
             // build a compact key to dedupe identical rows
             try {
               var k = [
+                site,
                 accountUuid,
                 resourceId,
                 invKey || "",
@@ -512,31 +1212,56 @@ function collectBillingForDate(dateStr) {
             );
           }
         }
+        var volInfo = volumeMap[resourceId] || null;
+        if (volInfo) {
+          if (!sizeVal) sizeVal = volInfo.size || null;
+          if (!actualSizeVal) actualSizeVal = volInfo.actualSize || null;
+        }
 
         var row = {
           json: {
             billing_date: billingDate,
+            run_id: runId,
+            site: site,
             account_id: accountUuid,
             resource_id: resourceId,
             resource_name: resourceName,
             spending_type: spendingType,
             resource_type: resourceType,
+            hypervisor_type: hypervisorType,
             cpu_core: cpuCoreVal,
             memory: memoryVal,
             size: sizeVal,
             actual_size: actualSizeVal,
+            volume_type: volInfo ? volInfo.type || null : null,
+            primary_storage_uuid: volInfo
+              ? volInfo.primaryStorageUuid || null
+              : null,
+            volume_status: volInfo ? volInfo.status || null : null,
+            attached_vm_uuid: volInfo ? volInfo.vmInstanceUuid || null : null,
             inventory_type: null,
+            device_type: null,
+            device_model: null,
+            offering_uuid: null,
+            device_count: null,
             resource_used: null,
             resource_unit: null,
+            price_quantity: null,
+            usage_source: null,
             cost: cost,
+            expected_cost: null,
+            cost_variance: null,
             date_start_ms: dateStart,
             date_end_ms: dateEnd,
             raw_json: JSON.stringify(detail),
-            collected_at: new Date().toISOString(),
+            collected_at: collectedAt,
+            unit_price: null,
+            price_uuid: null,
           },
         };
         try {
           var k2 = [
+            site,
             accountUuid,
             resourceId,
             "detail",
@@ -556,40 +1281,330 @@ function collectBillingForDate(dateStr) {
     });
   });
 
-  if (rowsBatch.length) {
-    replaceRowsForDate(projectId, datasetId, tableId, billingDate, rowsBatch);
-  }
-
-  return { status: "ok", date: billingDate };
+  rowsBatch.forEach(function (r) {
+    applyFxToRow(r.json, context.fx || null);
+  });
+  return rowsBatch;
 }
 
 /**
- * Collect billing for every day in a given month.
- * Parameter format: "YYYY-MM" (e.g. "2025-11").
- * This is intended for testing/backfill and will call `collectBillingForDate` for each day.
+ * Write the collected rows of every (site, account) of ctx.billingDate using BQ_WRITE_MODE.
+ * - streaming (default): replace each (date, site, account) separately with DELETE + insertAll.
+ * - merge: upsert each (date, site, account) with a staging table and one MERGE.
+ * - load: the whole billing_date partition is replaced by one load job (emptied when no account has
+ *   rows), so it is only written when every account of the date was collected; otherwise the day is
+ *   left untouched. When closed periods cover part of the date, the open accounts' rows are merged
+ *   instead and only rows outside the closed scopes are removed, so billed rows stay as they are.
+ * `ctx.writeMode` (optional) overrides BQ_WRITE_MODE, e.g. "merge" for writes that only cover some
+ * accounts of the date (replays).
+ * Results whose rows could not be written are marked failed.
  */
-function collectBillingForMonth(yearMonth) {
-  if (!yearMonth || !/^\d{4}-\d{2}$/.test(yearMonth)) {
-    throw new Error("yearMonth must be provided in YYYY-MM format");
-  }
-  var parts = yearMonth.split("-");
-  var y = Number(parts[0]);
-  var m = Number(parts[1]);
-  if (isNaN(y) || isNaN(m) || m < 1 || m > 12) {
-    throw new Error("Invalid yearMonth");
-  }
+function writeBillingRowsForDate(ctx, results) {
+  var mode = ctx.writeMode || getBQWriteMode();
+  var collected = results.filter(function (r) {
+    return r.ok;
+  });
 
-  // Determine number of days in month
-  var lastDay = new Date(y, m, 0).getDate();
-  var results = [];
-  for (var d = 1; d <= lastDay; d++) {
+  if (mode === "load") {
+    var failedCount = results.length - collected.length;
+    if (failedCount) {
+      Logger.log(
+        "Skipping load for %s: %s account(s) failed and the partition would lose their rows",
+        ctx.billingDate,
+        failedCount
+      );
+      collected.forEach(function (r) {
+        r.ok = false;
+        r.error =
+          "not written: BQ_WRITE_MODE=load needs every account of the date, " +
+          failedCount +
+          " failed";
+      });
+      return;
+    }
+    var allRows = [];
+    var locked = [];
+    try {
+      var locks = listClosedPeriods(ctx.billingDate);
+      // each account is checked against its own closed periods (overrides are logged per account)
+      collected.forEach(function (r) {
+        try {
+          assertPeriodOpen(
+            ctx.billingDate,
+            { site: r.site, accountUuid: r.accountUuid },
+            ctx.lockOverride,
+            locks
+          );
+          allRows = allRows.concat(r.rowsBatch);
+        } catch (e) {
+          if (!e.periodLock) throw e;
+          locked.push({ result: r, lock: e.periodLock });
+        }
+      });
+      var keep = ctx.lockOverride
+        ? []
+        : locks.map(function (l) {
+            return { site: l.site, accountUuid: l.account_id };
+          });
+      if (keep.length)
+        mergeRowsForDate(
+          ctx.projectId,
+          ctx.datasetId,
+          ctx.tableId,
+          ctx.billingDate,
+          allRows,
+          null,
+          keep
+        );
+      // no rows at all still replaces the partition: ZStack no longer reports anything for the day
+      else
+        loadRowsToBQ(ctx.projectId, ctx.datasetId, ctx.tableId, allRows, {
+          partitionDate: ctx.billingDate,
+          writeDisposition: "WRITE_TRUNCATE",
+        });
+    } catch (e) {
+      Logger.log("Load for %s failed: %s", ctx.billingDate, e.toString());
+      collected.forEach(function (r) {
+        r.ok = false;
+        r.error = "write failed: " + e.toString();
+      });
+      return;
+    }
+    locked.forEach(function (l) {
+      recordClosedPeriodResult(ctx, l.result, l.lock);
+    });
+    return;
+  }
+
+  var toWrite = collected.filter(function (r) {
+    return r.rowsBatch.length;
+  });
+  if (!toWrite.length) return;
+  // the date's locks are read once and checked per account by replaceRowsForDate
+  var dateLocks;
+  try {
+    dateLocks = listClosedPeriods(ctx.billingDate);
+  } catch (e) {
+    Logger.log(
+      "Reading closed periods for %s failed: %s",
+      ctx.billingDate,
+      e.toString()
+    );
+    toWrite.forEach(function (r) {
+      r.ok = false;
+      r.error = "write failed: " + e.toString();
+    });
+    return;
+  }
+  toWrite.forEach(function (r) {
+    try {
+      replaceRowsForDate(
+        ctx.projectId,
+        ctx.datasetId,
+        ctx.tableId,
+        ctx.billingDate,
+        r.rowsBatch,
+        { site: r.site, accountUuid: r.accountUuid },
+        ctx.lockOverride,
+        mode,
+        dateLocks
+      );
+    } catch (e) {
+      if (e.periodLock) {
+        recordClosedPeriodResult(ctx, r, e.periodLock);
+        return;
+      }
+      Logger.log(
+        "Write for %s/%s on %s failed: %s",
+        r.site,
+        r.accountUuid,
+        ctx.billingDate,
+        e.toString()
+      );
+      r.ok = false;
+      r.error = "write failed: " + e.toString();
+    }
+  });
+}
+
+/**
+ * A collected account whose date is closed: keep the billed rows and record the difference as
+ * adjustments. The result stays ok with a warning; it is marked failed if the adjustments cannot be written.
+ */
+function recordClosedPeriodResult(ctx, r, lock) {
+  try {
+    var count = recordBillingAdjustments(
+      ctx,
+      { site: r.site, accountUuid: r.accountUuid },
+      r.rowsBatch.map(function (row) {
+        return row.json;
+      }),
+      lock
+    );
+    r.adjustments = count;
+    r.warnings = (r.warnings || []).concat([
+      "period closed (lock " +
+        lock.lock_id +
+        "): rows kept, " +
+        count +
+        " adjustment(s) recorded",
+    ]);
+  } catch (e) {
+    Logger.log(
+      "Recording adjustments for %s/%s on %s failed: %s",
+      r.site,
+      r.accountUuid,
+      ctx.billingDate,
+      e.toString()
+    );
+    r.ok = false;
+    r.error = "period closed, adjustments failed: " + e.toString();
+  }
+}
+
+// Raw ZStack responses per run (see archiveRawResponses)
+var BQ_RAW_FIELDS = [
+  { name: "billing_date", type: "DATE" },
+  { name: "run_id", type: "STRING" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "kind", type: "STRING" },
+  { name: "price_table_uuid", type: "STRING" },
+  { name: "payload", type: "STRING" },
+  { name: "payload_length", type: "INTEGER" },
+  { name: "collected_at", type: "TIMESTAMP" },
+];
+
+/**
+ * Archive what ZStack returned for this run into the raw table (BQ_RAW_TABLE, default `<BQ_TABLE>_raw`):
+ * per (site, account) the full calculateAccountSpending response ("billing") and the price list used
+ * ("prices"), and per site the VM and volume inventories used ("vm_instances", "volumes", account_id NULL).
+ * Billing rows carry the same run_id. Disabled with RAW_ARCHIVE_ENABLED=false. A failure does not fail
+ * the run but adds a warning to every written account, since such a run cannot be replayed.
+ */
+function archiveRawResponses(
+  ctx,
+  results,
+  vmInventoriesBySite,
+  volumeInventoriesBySite
+) {
+  var props = PropertiesService.getScriptProperties();
+  if (String(props.getProperty("RAW_ARCHIVE_ENABLED") || "true") === "false")
+    return;
+  var rawTable = props.getProperty("BQ_RAW_TABLE") || ctx.tableId + "_raw";
+  var collectedAt = new Date().toISOString();
+  var rows = [];
+  var add = function (site, accountUuid, kind, priceTableUuid, payload) {
+    rows.push({
+      billing_date: ctx.billingDate,
+      run_id: ctx.runId,
+      site: site,
+      account_id: accountUuid,
+      kind: kind,
+      price_table_uuid: priceTableUuid,
+      payload: payload,
+      payload_length: payload.length,
+      collected_at: collectedAt,
+    });
+  };
+  results.forEach(function (r) {
+    if (!r.raw) return;
+    add(r.site, r.accountUuid, "billing", r.raw.priceTableUuid, r.raw.billing);
+    if (r.raw.prices)
+      add(
+        r.site,
+        r.accountUuid,
+        "prices",
+        r.raw.priceTableUuid,
+        JSON.stringify({ inventories: r.raw.prices })
+      );
+  });
+  Object.keys(vmInventoriesBySite).forEach(function (site) {
+    add(
+      site,
+      null,
+      "vm_instances",
+      null,
+      JSON.stringify({ inventories: vmInventoriesBySite[site] })
+    );
+  });
+  Object.keys(volumeInventoriesBySite || {}).forEach(function (site) {
+    add(
+      site,
+      null,
+      "volumes",
+      null,
+      JSON.stringify({ inventories: volumeInventoriesBySite[site] })
+    );
+  });
+  if (!rows.length) return;
+
+  try {
+    ensureBQTableWithSchema(ctx.projectId, ctx.datasetId, rawTable, {
+      friendlyName: "ZStack raw responses",
+      description: "Raw ZStack responses used by each billing collection run",
+      fields: BQ_RAW_FIELDS,
+      partitionField: "billing_date",
+    });
+    // load job: payloads can be far larger than an insertAll request allows
+    loadRowsToBQ(ctx.projectId, ctx.datasetId, rawTable, rows);
+  } catch (e) {
+    Logger.log(
+      "Warning: failed to archive raw responses for run %s: %s",
+      ctx.runId,
+      e.toString()
+    );
+    results.forEach(function (r) {
+      if (r.ok && r.raw)
+        r.warnings = (r.warnings || []).concat([
+          "failed to archive raw responses: " + e.toString(),
+        ]);
+    });
+  }
+}
+
+/**
+ * BQ_WRITE_MODE Script Property: "streaming" (default), "load" or "merge".
+ */
+function getBQWriteMode() {
+  var mode = (
+    PropertiesService.getScriptProperties().getProperty("BQ_WRITE_MODE") ||
+    "streaming"
+  ).toLowerCase();
+  if (["streaming", "load", "merge"].indexOf(mode) === -1)
+    throw new Error("Unsupported BQ_WRITE_MODE: " + mode);
+  return mode;
+}
+
+/**
+ * Collect billing for every day in a given month.
+ * Parameter format: "YYYY-MM" (e.g. "2025-11").
+ * This is intended for testing/backfill and will call `collectBillingForDate` for each day.
+ * `options` are passed to `collectBillingForDate` (e.g. { dryRun: true }).
+ */
+function collectBillingForMonth(yearMonth, options) {
+  if (!yearMonth || !/^\d{4}-\d{2}$/.test(yearMonth)) {
+    throw new Error("yearMonth must be provided in YYYY-MM format");
+  }
+  var parts = yearMonth.split("-");
+  var y = Number(parts[0]);
+  var m = Number(parts[1]);
+  if (isNaN(y) || isNaN(m) || m < 1 || m > 12) {
+    throw new Error("Invalid yearMonth");
+  }
+
+  // Determine number of days in month
+  var lastDay = new Date(y, m, 0).getDate();
+  var dayOptions = Object.assign({ trigger: "month" }, options || {});
+  var results = [];
+  for (var d = 1; d <= lastDay; d++) {
     // Build YYYY-MM-DD directly so it represents the calendar day in Asia/Jakarta
     var mm = m < 10 ? "0" + m : "" + m;
     var dd = d < 10 ? "0" + d : "" + d;
     var dateStr = y + "-" + mm + "-" + dd;
     Logger.log("Collecting billing for %s", dateStr);
     try {
-      var res = collectBillingForDate(dateStr);
+      var res = collectBillingForDate(dateStr, dayOptions);
       results.push({ date: dateStr, ok: true, res: res });
     } catch (e) {
       Logger.log(
@@ -641,12 +1656,55 @@ function runCollectBillingForMonthFromProperty() {
 }
 
 /**
- * Replace rows in BigQuery for a given billing_date: DELETE then INSERT.
+ * Replace rows in BigQuery for a given billing_date.
+ * BQ_WRITE_MODE=streaming (default): DELETE then INSERT (insertAll); `scope` ({ site, accountUuid },
+ * both optional) limits the replacement to those rows of the date.
+ * BQ_WRITE_MODE=load: one load job with WRITE_TRUNCATE on the `table$YYYYMMDD` partition, which
+ * atomically replaces the whole day; `rows` must then hold every row of the date and `scope` is not allowed.
+ * BQ_WRITE_MODE=merge: staging table + one MERGE within `scope` (see mergeRowsForDate).
+ * Throws (error.periodLock set) when the date is closed for `scope`, unless `lockOverride`
+ * ({ reason, runId }) is given (see PeriodLocks.js). `writeMode` (optional) overrides BQ_WRITE_MODE;
+ * `locks` (optional) is listClosedPeriods(billingDate) when the caller already loaded it.
  */
-function replaceRowsForDate(projectId, datasetId, tableId, billingDate, rows) {
+function replaceRowsForDate(
+  projectId,
+  datasetId,
+  tableId,
+  billingDate,
+  rows,
+  scope,
+  lockOverride,
+  writeMode,
+  locks
+) {
+  // closed (billed) dates are never rewritten without an explicit, logged override
+  assertPeriodOpen(billingDate, scope, lockOverride, locks);
+
+  var mode = writeMode || getBQWriteMode();
+  if (mode === "load") {
+    if (scope && (scope.site || scope.accountUuid))
+      throw new Error(
+        "BQ_WRITE_MODE=load replaces the whole billing_date partition; a site/account scope is not supported"
+      );
+    return loadRowsToBQ(projectId, datasetId, tableId, rows, {
+      partitionDate: billingDate,
+      writeDisposition: "WRITE_TRUNCATE",
+    });
+  }
+  if (mode === "merge") {
+    return mergeRowsForDate(
+      projectId,
+      datasetId,
+      tableId,
+      billingDate,
+      rows,
+      scope
+    );
+  }
+
   // Delete existing rows for that date first
   try {
-    deleteRowsForDate(projectId, datasetId, tableId, billingDate);
+    deleteRowsForDate(projectId, datasetId, tableId, billingDate, scope);
   } catch (e) {
     Logger.log("deleteRowsForDate warning: %s", e.toString());
     // continue to attempt insert even if delete failed; user should inspect permissions
@@ -657,9 +1715,9 @@ function replaceRowsForDate(projectId, datasetId, tableId, billingDate, rows) {
 }
 
 /**
- * Run a BigQuery DELETE query to remove rows for billing_date.
+ * Run a BigQuery DELETE query to remove rows for billing_date (optionally limited by `scope`).
  */
-function deleteRowsForDate(projectId, datasetId, tableId, billingDate) {
+function deleteRowsForDate(projectId, datasetId, tableId, billingDate, scope) {
   var sql =
     "DELETE FROM `" +
     projectId +
@@ -669,8 +1727,115 @@ function deleteRowsForDate(projectId, datasetId, tableId, billingDate) {
     tableId +
     "` WHERE billing_date = DATE '" +
     billingDate +
-    "'";
+    "'" +
+    bqScopeCondition(scope);
   Logger.log("Running delete query: %s", sql);
+  return runBQDmlWithRetry(projectId, sql, "deleteRowsForDate");
+}
+
+/**
+ * Replace the rows of a side table matching `where` (SQL condition on the table's columns) with
+ * `rows` ([{ json }]) atomically: the rows are loaded into a staging table, then one MERGE inserts
+ * them and deletes the old ones, so a failed load leaves the old rows in place. Loading rather than
+ * streaming also lets the next replace delete them right away (DML cannot touch rows still in the
+ * streaming buffer).
+ */
+function replaceBQRows(projectId, datasetId, tableId, where, rows, label) {
+  var target = "`" + projectId + "." + datasetId + "." + tableId + "`";
+  if (!rows.length) {
+    runBQDmlWithRetry(
+      projectId,
+      "DELETE FROM " + target + " WHERE " + where,
+      label
+    );
+    return;
+  }
+  var fields = BigQuery.Tables.get(projectId, datasetId, tableId).schema.fields;
+  var stagingId = createBQStagingTable(
+    projectId,
+    datasetId,
+    tableId + "_staging",
+    fields
+  );
+  try {
+    loadRowsToBQ(projectId, datasetId, stagingId, rows, {
+      writeDisposition: "WRITE_TRUNCATE",
+    });
+    var columns = fields.map(function (f) {
+      return f.name;
+    });
+    // the staged row is a single struct column, so the names in `where` only resolve to the target
+    runBQDmlWithRetry(
+      projectId,
+      "MERGE " +
+        target +
+        " T USING (SELECT s AS staged_row FROM `" +
+        projectId +
+        "." +
+        datasetId +
+        "." +
+        stagingId +
+        "` s) S ON FALSE WHEN NOT MATCHED BY TARGET THEN INSERT (" +
+        columns.join(", ") +
+        ") VALUES (" +
+        columns
+          .map(function (c) {
+            return "staged_row." + c;
+          })
+          .join(", ") +
+        ") WHEN NOT MATCHED BY SOURCE AND " +
+        where +
+        " THEN DELETE",
+      label
+    );
+  } finally {
+    dropBQStagingTable(projectId, datasetId, stagingId);
+  }
+}
+
+/**
+ * Create a staging table `<baseId>_<random>` with `fields` that expires after a day, so the
+ * leftovers of a crashed run clean themselves up. Returns its table id.
+ */
+function createBQStagingTable(projectId, datasetId, baseId, fields) {
+  var stagingId =
+    baseId + "_" + Utilities.getUuid().replace(/-/g, "").slice(0, 8);
+  BigQuery.Tables.insert(
+    {
+      tableReference: {
+        projectId: projectId,
+        datasetId: datasetId,
+        tableId: stagingId,
+      },
+      schema: { fields: fields },
+      expirationTime: String(Date.now() + 24 * 60 * 60 * 1000),
+    },
+    projectId,
+    datasetId
+  );
+  return stagingId;
+}
+
+/**
+ * Drop a staging table; a failure only logs (the table expires anyway).
+ */
+function dropBQStagingTable(projectId, datasetId, stagingId) {
+  try {
+    BigQuery.Tables.remove(projectId, datasetId, stagingId);
+  } catch (e) {
+    Logger.log(
+      "Warning: failed to drop staging table %s: %s",
+      stagingId,
+      e.toString()
+    );
+  }
+}
+
+/**
+ * Run a DML statement, retrying while BigQuery reports rows still in the streaming buffer.
+ * Waits for the job when the synchronous query call returns before it completed.
+ */
+function runBQDmlWithRetry(projectId, sql, label) {
   var req = { query: sql, useLegacySql: false };
 
   var maxRetries = 6;
@@ -680,21 +1845,27 @@ function deleteRowsForDate(projectId, datasetId, tableId, billingDate) {
       if (resp && resp.errorResult) {
         throw new Error(JSON.stringify(resp.errorResult));
       }
-      Logger.log("Delete job result: %s", JSON.stringify(resp || {}));
+      if (resp && resp.jobComplete === false && resp.jobReference) {
+        waitForBQJob(projectId, { jobReference: resp.jobReference });
+      }
+      Logger.log("%s job result: %s", label, JSON.stringify(resp || {}));
       return resp;
     } catch (e) {
       var msg = e && e.message ? e.message : e.toString();
-      Logger.log("deleteRowsForDate attempt %s failed: %s", attempt, msg);
+      Logger.log("%s attempt %s failed: %s", label, attempt, msg);
       // If error mentions streaming buffer, wait and retry
       if (/streaming buffer/i.test(msg) || /streamingbuffer/i.test(msg)) {
         if (attempt >= maxRetries) {
           // give up and surface warning to caller
           throw new Error(
-            "BigQuery delete error (streaming buffer present after retries): " +
+            "BigQuery " +
+              label +
+              " error (streaming buffer present after retries): " +
               msg
           );
         }
         // sleep 30s before retrying
+        recordCollectorRetry();
         Utilities.sleep(30000);
         continue;
       }
@@ -703,7 +1874,211 @@ function deleteRowsForDate(projectId, datasetId, tableId, billingDate) {
     }
   }
   // unreachable
-  throw new Error("deleteRowsForDate: unexpected exit");
+  throw new Error(label + ": unexpected exit");
+}
+
+// Columns identifying one billing row (same fields as the insertId key, minus cost)
+var BQ_BILLING_KEY_FIELDS = [
+  "billing_date",
+  "site",
+  "account_id",
+  "resource_id",
+  "inventory_type",
+  "date_start_ms",
+  "date_end_ms",
+];
+
+// Amount columns summed when rows sharing a BQ_BILLING_KEY_FIELDS key are collapsed
+var BQ_BILLING_ADDITIVE_FIELDS = [
+  "resource_used",
+  "price_quantity",
+  "cost",
+  "cost_original",
+  "cost_billing",
+  "expected_cost",
+  "cost_variance",
+  "discount_amount",
+  "credit_applied",
+  "net_cost",
+];
+
+/**
+ * Collapse rows ({ json } objects) sharing a BQ_BILLING_KEY_FIELDS key into one: amounts
+ * (BQ_BILLING_ADDITIVE_FIELDS) are summed, pricing_rule_ids merged, other columns kept from the first.
+ * ZStack can report two segments of a resource with the same times and different cost; a MERGE source
+ * must hold one row per key.
+ */
+function collapseRowsOnKey(rows) {
+  var byKey = {};
+  var out = [];
+  rows.forEach(function (r) {
+    var k = billingRowKey(r.json);
+    var first = byKey[k];
+    if (!first) {
+      byKey[k] = { json: Object.assign({}, r.json) };
+      out.push(byKey[k]);
+      return;
+    }
+    BQ_BILLING_ADDITIVE_FIELDS.forEach(function (f) {
+      var a = first.json[f];
+      var b = r.json[f];
+      if (a === null || a === undefined) first.json[f] = b;
+      else if (b !== null && b !== undefined)
+        first.json[f] = Number(a) + Number(b);
+    });
+    (r.json.pricing_rule_ids || []).forEach(function (id) {
+      var ids =
+        first.json.pricing_rule_ids || (first.json.pricing_rule_ids = []);
+      if (ids.indexOf(id) === -1) ids.push(id);
+    });
+  });
+  return out;
+}
+
+/**
+ * Upsert rows for billing_date with one MERGE from a staging table.
+ * Rows are loaded into a temporary staging table, then a single MERGE updates matching rows,
+ * inserts new ones and deletes rows of the date (within `scope`) that are no longer reported.
+ * The MERGE is atomic, so a failed run never leaves the day half-deleted. Rows sharing a key are
+ * collapsed first (see collapseRowsOnKey). Rows within any of `keepScopes` (optional, [{ site,
+ * accountUuid }]) are never deleted.
+ */
+function mergeRowsForDate(
+  projectId,
+  datasetId,
+  tableId,
+  billingDate,
+  rows,
+  scope,
+  keepScopes
+) {
+  var props = PropertiesService.getScriptProperties();
+  var stagingId = createBQStagingTable(
+    projectId,
+    datasetId,
+    (props.getProperty("BQ_STAGING_TABLE") || tableId + "_staging") +
+      "_" +
+      billingDate.replace(/-/g, ""),
+    BQ_BILLING_FIELDS
+  );
+  try {
+    loadRowsToBQ(projectId, datasetId, stagingId, collapseRowsOnKey(rows), {
+      writeDisposition: "WRITE_TRUNCATE",
+    });
+
+    var columns = BQ_BILLING_FIELDS.map(function (f) {
+      return f.name;
+    });
+    var on = BQ_BILLING_KEY_FIELDS.map(function (c) {
+      if (c === "site")
+        return (
+          "IFNULL(T.site, " +
+          bqQuote(DEFAULT_ZSTACK_SITE) +
+          ") = IFNULL(S.site, " +
+          bqQuote(DEFAULT_ZSTACK_SITE) +
+          ")"
+        );
+      if (c === "inventory_type")
+        return "IFNULL(T.inventory_type, '') = IFNULL(S.inventory_type, '')";
+      return "T." + c + " = S." + c;
+    }).join(" AND ");
+    var sql =
+      "MERGE `" +
+      projectId +
+      "." +
+      datasetId +
+      "." +
+      tableId +
+      "` T USING `" +
+      projectId +
+      "." +
+      datasetId +
+      "." +
+      stagingId +
+      // the partition filter keeps the MERGE from scanning every other date
+      "` S ON T.billing_date = DATE " +
+      bqQuote(billingDate) +
+      " AND " +
+      on +
+      " WHEN MATCHED THEN UPDATE SET " +
+      columns
+        .map(function (c) {
+          return c + " = S." + c;
+        })
+        .join(", ") +
+      " WHEN NOT MATCHED BY TARGET THEN INSERT (" +
+      columns.join(", ") +
+      ") VALUES (" +
+      columns
+        .map(function (c) {
+          return "S." + c;
+        })
+        .join(", ") +
+      ") WHEN NOT MATCHED BY SOURCE AND T.billing_date = DATE " +
+      bqQuote(billingDate) +
+      bqScopeCondition(scope, "T") +
+      (keepScopes || [])
+        .map(function (k) {
+          return " AND NOT (TRUE" + bqScopeCondition(k, "T") + ")";
+        })
+        .join("") +
+      " THEN DELETE";
+    Logger.log("Running merge query: %s", sql);
+    return runBQDmlWithRetry(projectId, sql, "mergeRowsForDate");
+  } finally {
+    dropBQStagingTable(projectId, datasetId, stagingId);
+  }
+}
+
+/**
+ * Quote a value as a BigQuery standard SQL string literal.
+ */
+function bqQuote(value) {
+  return (
+    "'" +
+    String(value === null || value === undefined ? "" : value)
+      .replace(/\\/g, "\\\\")
+      .replace(/'/g, "\\'") +
+    "'"
+  );
+}
+
+/**
+ * Build the " AND ..." SQL filter for a replace scope ({ site, accountUuid }).
+ * Rows without a site (written before endpoints existed) belong to DEFAULT_ZSTACK_SITE.
+ */
+function bqScopeCondition(scope, alias) {
+  var prefix = alias ? alias + "." : "";
+  var sql = "";
+  if (scope && scope.site)
+    sql +=
+      " AND IFNULL(" +
+      prefix +
+      "site, " +
+      bqQuote(DEFAULT_ZSTACK_SITE) +
+      ") = " +
+      bqQuote(scope.site);
+  if (scope && scope.accountUuid)
+    sql += " AND " + prefix + "account_id = " + bqQuote(scope.accountUuid);
+  return sql;
+}
+
+/**
+ * Build the " AND ..." SQL filter matching any of several (site, account) scopes, each with both
+ * `site` and `accountUuid`, in one condition.
+ */
+function bqScopesCondition(scopes) {
+  return (
+    " AND (IFNULL(site, " +
+    bqQuote(DEFAULT_ZSTACK_SITE) +
+    "), account_id) IN (" +
+    scopes
+      .map(function (s) {
+        return "(" + bqQuote(s.site) + ", " + bqQuote(s.accountUuid) + ")";
+      })
+      .join(", ") +
+    ")"
+  );
 }
 
 /**
@@ -761,6 +2136,7 @@ function insertRowsToBQ(projectId, datasetId, tableId, rows) {
         }
         // if final attempt, throw
         if (attempt >= maxRetries) throw lastErr;
+        recordCollectorRetry();
         Utilities.sleep(3000);
         continue;
       }
@@ -791,6 +2167,7 @@ function insertRowsToBQ(projectId, datasetId, tableId, rows) {
           );
         }
         if (attempt >= maxRetries) throw e;
+        recordCollectorRetry();
         Utilities.sleep(3000);
         continue;
       }
@@ -802,6 +2179,153 @@ function insertRowsToBQ(projectId, datasetId, tableId, rows) {
   throw lastErr;
 }
 
+/**
+ * Write rows ({ json } objects, as for insertAll) with a BigQuery load job (NDJSON) and wait for it.
+ * `options`: { partitionDate (YYYY-MM-DD, targets the table$YYYYMMDD decorator),
+ *   writeDisposition (default WRITE_APPEND), createDisposition (default CREATE_NEVER), schema }.
+ * Load jobs do not use the streaming buffer, so later DML on the rows is not blocked.
+ */
+function loadRowsToBQ(projectId, datasetId, tableId, rows, options) {
+  options = options || {};
+  var destination = tableId;
+  if (options.partitionDate)
+    destination += "$" + options.partitionDate.replace(/-/g, "");
+  var ndjson = rows
+    .map(function (r) {
+      return JSON.stringify(r.json || r);
+    })
+    .join("\n");
+  var load = {
+    destinationTable: {
+      projectId: projectId,
+      datasetId: datasetId,
+      tableId: destination,
+    },
+    sourceFormat: "NEWLINE_DELIMITED_JSON",
+    writeDisposition: options.writeDisposition || "WRITE_APPEND",
+    createDisposition: options.createDisposition || "CREATE_NEVER",
+  };
+  if (options.schema) load.schema = { fields: options.schema };
+  Logger.log(
+    "Loading %s rows into %s.%s.%s (%s)",
+    rows.length,
+    projectId,
+    datasetId,
+    destination,
+    load.writeDisposition
+  );
+  var blob = Utilities.newBlob(ndjson, "application/octet-stream");
+  var job = BigQuery.Jobs.insert(
+    { configuration: { load: load } },
+    projectId,
+    blob
+  );
+  return waitForBQJob(projectId, job);
+}
+
+/**
+ * Poll a BigQuery job until it is DONE; throws with the job errors if it failed.
+ */
+function waitForBQJob(projectId, job) {
+  var jobId = job.jobReference.jobId;
+  var location = job.jobReference.location;
+  var deadline = Date.now() + 5 * 60 * 1000;
+  while (!job.status || job.status.state !== "DONE") {
+    if (Date.now() > deadline)
+      throw new Error("BigQuery job " + jobId + " did not finish in time");
+    Utilities.sleep(2000);
+    job = BigQuery.Jobs.get(
+      projectId,
+      jobId,
+      location ? { location: location } : {}
+    );
+  }
+  if (job.status.errorResult) {
+    throw new Error(
+      "BigQuery job " +
+        jobId +
+        " failed: " +
+        JSON.stringify(job.status.errors || job.status.errorResult)
+    );
+  }
+  return job;
+}
+
+/**
+ * Run a standard SQL query and return all result rows as plain objects (all pages).
+ * INTEGER/FLOAT/NUMERIC become numbers, BOOLEAN booleans and TIMESTAMP ISO strings.
+ */
+function queryBQRows(projectId, sql) {
+  var resp = BigQuery.Jobs.query(
+    { query: sql, useLegacySql: false, timeoutMs: 60000 },
+    projectId
+  );
+  var jobId = resp.jobReference ? resp.jobReference.jobId : null;
+  var location = resp.jobReference ? resp.jobReference.location : null;
+  var deadline = Date.now() + 5 * 60 * 1000;
+  while (!resp.jobComplete) {
+    if (Date.now() > deadline)
+      throw new Error("BigQuery query " + jobId + " did not finish in time");
+    Utilities.sleep(2000);
+    resp = BigQuery.Jobs.getQueryResults(
+      projectId,
+      jobId,
+      location ? { location: location } : {}
+    );
+  }
+  var fields = (resp.schema && resp.schema.fields) || [];
+  var out = [];
+  while (true) {
+    (resp.rows || []).forEach(function (row) {
+      out.push(bqRowToObject(fields, row));
+    });
+    if (!resp.pageToken) break;
+    var params = { pageToken: resp.pageToken };
+    if (location) params.location = location;
+    resp = BigQuery.Jobs.getQueryResults(projectId, jobId, params);
+  }
+  return out;
+}
+
+/**
+ * Convert one BigQuery API row ({ f: [{ v }] }) to a plain object using the result schema.
+ */
+function bqRowToObject(fields, row) {
+  var obj = {};
+  fields.forEach(function (field, i) {
+    obj[field.name] = bqCellValue(field, row.f[i] ? row.f[i].v : null);
+  });
+  return obj;
+}
+
+function bqCellValue(field, v) {
+  if (v === null || v === undefined) return null;
+  if (field.mode === "REPEATED") {
+    return v.map(function (item) {
+      return bqCellValue({ type: field.type, fields: field.fields }, item.v);
+    });
+  }
+  switch (field.type) {
+    case "INTEGER":
+    case "INT64":
+    case "FLOAT":
+    case "FLOAT64":
+    case "NUMERIC":
+    case "BIGNUMERIC":
+      return Number(v);
+    case "BOOLEAN":
+    case "BOOL":
+      return v === true || v === "true";
+    case "TIMESTAMP":
+      return new Date(Number(v) * 1000).toISOString();
+    case "RECORD":
+    case "STRUCT":
+      return bqRowToObject(field.fields || [], v);
+    default:
+      return v;
+  }
+}
+
 /**
  * Get and log BigQuery table schema for given identifiers.
  */
@@ -823,7 +2347,272 @@ function getBQTableSchema(projectId, datasetId, tableId) {
 }
 
 /**
- * Fetch price table UUID for an account (cached in-memory)
+ * Read the ZStack endpoints to collect.
+ * ZSTACK_ENDPOINTS is a JSON array of endpoint objects:
+ *   { name, url, apiKey | (accessKey + accessSecret) | (username + password),
+ *     accountMode, accountUuid, accounts, accountSource, allowlist, denylist,
+ *     priceTableUuid, currency, billingPath, loginPath, extraQuery }
+ * Secrets may be given indirectly as apiKeyProperty / accessSecretProperty / passwordProperty
+ * (name of another Script Property). Without ZSTACK_ENDPOINTS the legacy ZSTACK_* properties
+ * define a single endpoint named ZSTACK_SITE (default "default").
+ */
+function getZstackEndpoints() {
+  var props = PropertiesService.getScriptProperties();
+  var raw = props.getProperty("ZSTACK_ENDPOINTS");
+  var list;
+  if (raw) {
+    try {
+      list = JSON.parse(raw);
+    } catch (e) {
+      throw new Error("ZSTACK_ENDPOINTS is not valid JSON: " + e.toString());
+    }
+    if (!Array.isArray(list) || !list.length)
+      throw new Error("ZSTACK_ENDPOINTS must be a non-empty JSON array");
+  } else {
+    list = [
+      {
+        name: props.getProperty("ZSTACK_SITE") || DEFAULT_ZSTACK_SITE,
+        url: props.getProperty("ZSTACK_API_URL") || "",
+        apiKey: props.getProperty("ZSTACK_API_KEY") || "",
+        accessKey: props.getProperty("ZSTACK_ACCESS_KEY") || "",
+        accessSecret: props.getProperty("ZSTACK_ACCESS_SECRET") || "",
+        username: props.getProperty("ZSTACK_USERNAME") || "",
+        password: props.getProperty("ZSTACK_PASSWORD") || "",
+        extraQuery: props.getProperty("ZSTACK_EXTRA_QUERY") || "",
+        billingPath: props.getProperty("ZSTACK_BILLING_PATH") || "",
+        loginPath: props.getProperty("ZSTACK_LOGIN_PATH") || "",
+        accountUuid: props.getProperty("ZSTACK_ACCOUNT_UUID") || "",
+        accountMode: props.getProperty("ZSTACK_ACCOUNT_MODE") || "",
+        accountSource: props.getProperty("ZSTACK_ACCOUNT_SOURCE") || "",
+        allowlist: parseListProperty(
+          props.getProperty("ZSTACK_ACCOUNT_ALLOWLIST")
+        ),
+        denylist: parseListProperty(
+          props.getProperty("ZSTACK_ACCOUNT_DENYLIST")
+        ),
+      },
+    ];
+  }
+
+  var names = {};
+  return list.map(function (ep) {
+    ["apiKey", "accessSecret", "password"].forEach(function (key) {
+      if (!ep[key] && ep[key + "Property"])
+        ep[key] = props.getProperty(ep[key + "Property"]) || "";
+    });
+    var name = ep.name || (list.length === 1 ? DEFAULT_ZSTACK_SITE : "");
+    if (!name) throw new Error("Every ZSTACK_ENDPOINTS entry needs a name");
+    if (names[name]) throw new Error("Duplicate ZStack endpoint name: " + name);
+    names[name] = true;
+    if (
+      !ep.url ||
+      !(
+        ep.apiKey ||
+        (ep.accessKey && ep.accessSecret) ||
+        (ep.username && ep.password)
+      )
+    ) {
+      throw new Error(
+        "Missing settings for ZStack endpoint " +
+          name +
+          ". Set the API url and either an API key, (access key + access secret) or (username + password)"
+      );
+    }
+    var toList = function (v) {
+      return Array.isArray(v) ? v : parseListProperty(v);
+    };
+    return {
+      name: name,
+      url: ep.url,
+      apiKey: ep.apiKey || "",
+      accessKey: ep.accessKey || "",
+      accessSecret: ep.accessSecret || "",
+      username: ep.username || "",
+      password: ep.password || "",
+      extraQuery: ep.extraQuery || "",
+      billingPath: ep.billingPath || "/zstack/v1/billings/accounts",
+      loginPath: ep.loginPath || "",
+      accountUuid: ep.accountUuid || "",
+      accounts: toList(ep.accounts),
+      accountMode: String(ep.accountMode || "single").toLowerCase(),
+      accountSource: String(ep.accountSource || "refs").toLowerCase(),
+      allowlist: toList(ep.allowlist),
+      denylist: toList(ep.denylist),
+      priceTableUuid: ep.priceTableUuid || null,
+      currency: ep.currency || null,
+    };
+  });
+}
+
+/**
+ * Log in (when needed) and build auth headers for an endpoint config from getZstackEndpoints.
+ * Returns the runtime endpoint passed to the fetch helpers: the config plus base, headers, cache and loginAccountUuid.
+ */
+function connectZstackEndpoint(ep) {
+  var sessionToken = "";
+  var loginAccountUuid = null;
+  if (!ep.apiKey && !(ep.accessKey && ep.accessSecret)) {
+    var loginRes = loginZstack(
+      ep.url,
+      ep.username,
+      ep.password,
+      ep.name,
+      ep.loginPath
+    );
+    if (loginRes) {
+      sessionToken = loginRes.token || loginRes.uuid || "";
+      loginAccountUuid = loginRes.accountUuid || loginRes.uuid || null;
+    }
+  }
+
+  var headers = {};
+  if (ep.apiKey) {
+    headers.Authorization = "Bearer " + ep.apiKey;
+  } else if (ep.accessKey && ep.accessSecret) {
+    headers["X-Access-Key"] = ep.accessKey;
+    headers["X-Access-Secret"] = ep.accessSecret;
+  } else if (sessionToken) {
+    headers.Authorization = "OAuth " + sessionToken;
+  } else {
+    var basic = Utilities.base64Encode(ep.username + ":" + ep.password);
+    headers.Authorization = "Basic " + basic;
+  }
+
+  var endpoint = {};
+  for (var k in ep) endpoint[k] = ep[k];
+  endpoint.base = ep.url.replace(/\/$/, "");
+  endpoint.headers = headers;
+  endpoint.cache = getEndpointCache(ep.name);
+  endpoint.loginAccountUuid = loginAccountUuid;
+  return endpoint;
+}
+
+/**
+ * Per-endpoint slot of ZSTACK_CACHE (token, price tables, prices, VM maps).
+ */
+function getEndpointCache(name) {
+  var key = name || DEFAULT_ZSTACK_SITE;
+  if (!ZSTACK_CACHE.endpoints[key]) {
+    ZSTACK_CACHE.endpoints[key] = {
+      token: null,
+      accountUuid: null,
+      fetchedAtSec: 0,
+      priceTable: {},
+      pricesByTable: {},
+      priceInventories: null,
+      priceTables: null,
+      vmMap: null,
+      volumeToVm: null,
+      vmInventories: null,
+      vmByUuid: {},
+      volumeByUuid: {},
+      volumeInventories: null,
+      volumeMap: null,
+      vmQueried: {},
+      vmListedAll: false,
+      vmMapsByDate: {},
+      snapshotDate: null,
+    };
+  }
+  return ZSTACK_CACHE.endpoints[key];
+}
+
+/**
+ * Accounts to collect for a connected endpoint.
+ * accountMode "all" discovers accounts (resolveBillingAccounts); otherwise the configured
+ * accounts / accountUuid, falling back to the login account.
+ */
+function resolveEndpointAccounts(endpoint) {
+  if (endpoint.accountMode === "all") {
+    var discovered = resolveBillingAccounts(endpoint);
+    if (!discovered.length)
+      throw new Error(
+        "No ZStack accounts to collect on " +
+          endpoint.name +
+          " (check the allow/deny lists)"
+      );
+    return discovered;
+  }
+  if (endpoint.accounts.length) return endpoint.accounts;
+  var acct = endpoint.accountUuid || endpoint.loginAccountUuid;
+  if (!acct)
+    throw new Error(
+      "Missing account uuid for ZStack endpoint " +
+        endpoint.name +
+        " (ZSTACK_ACCOUNT_UUID in Script Properties)"
+    );
+  return [acct];
+}
+
+// guards queryZstack against a server that keeps returning pages (e.g. ignores `start`)
+var ZSTACK_MAX_PAGES = 1000;
+
+/**
+ * Run a ZStack query API (GET, e.g. "/vm-instances") and return every inventory, paging with
+ * limit/start/replyWithCount (ZSTACK_PAGE_SIZE per page, default 500). Pages are requested until the
+ * reported total is reached (a server may cap `limit` below the page size, so a short page does not
+ * mean the end then); without a total, until a page shorter than the page size. A page repeating the
+ * previous one (a server ignoring `start`) also ends it, and more than ZSTACK_MAX_PAGES pages throw.
+ * `options`: { conditions: ["tableUuid=...", "uuid?=a,b"] (sent as q=, all must match), label }.
+ */
+function queryZstack(endpoint, path, options) {
+  options = options || {};
+  var pageSize = parseInt(
+    PropertiesService.getScriptProperties().getProperty("ZSTACK_PAGE_SIZE") ||
+      "500",
+    10
+  );
+  var url = getZstackUrl(endpoint.base, path);
+  var query = (options.conditions || []).map(function (c) {
+    return "q=" + encodeURIComponent(c);
+  });
+  var label = options.label || "query " + path;
+  var inventories = [];
+  var start = 0;
+  var previousUuids = null;
+  for (var pages = 0; ; pages++) {
+    if (pages >= ZSTACK_MAX_PAGES)
+      throw new Error(
+        label + " did not finish within " + ZSTACK_MAX_PAGES + " pages"
+      );
+    var resp = UrlFetchApp.fetch(
+      url +
+        "?" +
+        ["limit=" + pageSize, "start=" + start, "replyWithCount=true"]
+          .concat(query)
+          .join("&"),
+      {
+        method: "get",
+        headers: endpoint.headers,
+        muteHttpExceptions: true,
+      }
+    );
+    recordZstackHttpStatus(resp.getResponseCode());
+    if (resp.getResponseCode() >= 400) {
+      throw new Error(label + " failed: " + resp.getContentText());
+    }
+    var obj = JSON.parse(resp.getContentText());
+    var page = obj.inventories || [];
+    // inventories without a uuid (e.g. price table refs) are compared whole
+    var uuids = page
+      .map(function (i) {
+        return i.uuid || JSON.stringify(i);
+      })
+      .join(",");
+    if (page.length && uuids === previousUuids) break;
+    previousUuids = uuids;
+    inventories = inventories.concat(page);
+    start += page.length;
+    var total =
+      obj.total === undefined || obj.total === null ? null : Number(obj.total);
+    if (!page.length) break;
+    if (total !== null ? start >= total : page.length < pageSize) break;
+  }
+  return inventories;
+}
+
+/**
+ * Build a full ZStack API url from the endpoint base url and an API subpath.
  */
 function getZstackUrl(baseUrl, subpath) {
   // ensure baseUrl has no trailing slash
@@ -837,23 +2626,20 @@ function getZstackUrl(baseUrl, subpath) {
 }
 
 /**
- * Fetch price table UUID for an account (cached in-memory)
+ * Fetch price table UUID for an account (cached per endpoint).
+ * An endpoint-level priceTableUuid (string, or object keyed by account uuid) takes precedence.
  */
-function fetchPriceTableUuid(baseUrl, headers, accountUuid) {
+function fetchPriceTableUuid(endpoint, accountUuid) {
   if (!accountUuid) return null;
-  if (ZSTACK_CACHE.priceTable && ZSTACK_CACHE.priceTable[accountUuid])
-    return ZSTACK_CACHE.priceTable[accountUuid];
-  var url = getZstackUrl(baseUrl, "/accounts/price-tables/refs");
-  var resp = UrlFetchApp.fetch(url, {
-    method: "get",
-    headers: headers,
-    muteHttpExceptions: true,
+  var configured = endpoint.priceTableUuid;
+  if (configured && typeof configured === "string") return configured;
+  if (configured && configured[accountUuid]) return configured[accountUuid];
+  var cache = endpoint.cache;
+  if (cache.priceTable[accountUuid]) return cache.priceTable[accountUuid];
+  var inventories = queryZstack(endpoint, "/accounts/price-tables/refs", {
+    conditions: ["accountUuid=" + accountUuid],
+    label: "price table refs fetch",
   });
-  if (resp.getResponseCode() >= 400) {
-    throw new Error("price table refs fetch failed: " + resp.getContentText());
-  }
-  var obj = JSON.parse(resp.getContentText());
-  var inventories = obj.inventories || [];
   var found = null;
   for (var i = 0; i < inventories.length; i++) {
     var inv = inventories[i];
@@ -862,58 +2648,259 @@ function fetchPriceTableUuid(baseUrl, headers, accountUuid) {
       break;
     }
   }
-  ZSTACK_CACHE.priceTable = ZSTACK_CACHE.priceTable || {};
-  ZSTACK_CACHE.priceTable[accountUuid] = found;
+  cache.priceTable[accountUuid] = found;
   return found;
 }
 
 /**
- * Fetch prices and filter for tableUuid. Returns array of price inventories.
+ * List the accounts to collect for an endpoint in accountMode "all".
+ * Source is accountSource: "refs" (default, accounts with a price table) or "accounts" (/accounts API).
+ * allowlist / denylist hold account uuids or names.
+ * Returns an array of account uuids.
  */
-function fetchPricesForTable(baseUrl, headers, tableUuid) {
-  if (!tableUuid) return null;
-  ZSTACK_CACHE.pricesByTable = ZSTACK_CACHE.pricesByTable || {};
-  if (ZSTACK_CACHE.pricesByTable[tableUuid])
-    return ZSTACK_CACHE.pricesByTable[tableUuid];
-  var url = getZstackUrl(baseUrl, "/billings/prices");
-  var resp = UrlFetchApp.fetch(url, {
-    method: "get",
-    headers: headers,
-    muteHttpExceptions: true,
+function resolveBillingAccounts(endpoint) {
+  var source = endpoint.accountSource;
+  var allow = endpoint.allowlist || [];
+  var deny = endpoint.denylist || [];
+
+  var accounts = listZstackAccounts(endpoint, source);
+  var seen = {};
+  var out = [];
+  accounts.forEach(function (a) {
+    if (!a.uuid || seen[a.uuid]) return;
+    var matches = function (list) {
+      return (
+        list.indexOf(a.uuid) !== -1 || (a.name && list.indexOf(a.name) !== -1)
+      );
+    };
+    if (allow.length && !matches(allow)) return;
+    if (deny.length && matches(deny)) return;
+    seen[a.uuid] = true;
+    out.push(a.uuid);
+  });
+  Logger.log(
+    "Resolved %s of %s ZStack accounts on %s (source=%s)",
+    out.length,
+    accounts.length,
+    endpoint.name,
+    source
+  );
+  return out;
+}
+
+/**
+ * Fetch accounts from ZStack. Returns array of { uuid, name }.
+ * The refs source also fills the price table cache used by fetchPriceTableUuid.
+ */
+function listZstackAccounts(endpoint, source) {
+  var path =
+    source === "accounts" ? "/accounts" : "/accounts/price-tables/refs";
+  var inventories = queryZstack(endpoint, path, {
+    label: "accounts fetch",
   });
-  if (resp.getResponseCode() >= 400) {
-    throw new Error("prices fetch failed: " + resp.getContentText());
+  if (source === "accounts") {
+    return inventories.map(function (inv) {
+      return { uuid: inv.uuid, name: inv.name || null };
+    });
   }
-  var obj = JSON.parse(resp.getContentText());
-  var inv = obj.inventories || [];
-  var filtered = inv.filter(function (p) {
-    return p.tableUuid === tableUuid;
+  return inventories.map(function (inv) {
+    endpoint.cache.priceTable[inv.accountUuid] = inv.tableUuid || null;
+    return { uuid: inv.accountUuid, name: null };
   });
-  ZSTACK_CACHE.pricesByTable[tableUuid] = filtered;
+}
+
+/**
+ * Split a comma/newline separated Script Property into a trimmed list.
+ */
+function parseListProperty(value) {
+  if (!value) return [];
+  return String(value)
+    .split(/[,\n]/)
+    .map(function (v) {
+      return v.trim();
+    })
+    .filter(function (v) {
+      return v;
+    });
+}
+
+/**
+ * Fetch prices and filter for tableUuid. Returns array of price inventories.
+ */
+function fetchPricesForTable(endpoint, tableUuid) {
+  if (!tableUuid) return null;
+  var cache = endpoint.cache;
+  if (cache.pricesByTable[tableUuid]) return cache.pricesByTable[tableUuid];
+  var filtered = cache.priceInventories
+    ? cache.priceInventories.filter(function (p) {
+        return p.tableUuid === tableUuid;
+      })
+    : queryZstack(endpoint, "/billings/prices", {
+        conditions: ["tableUuid=" + tableUuid],
+        label: "prices fetch",
+      });
+  cache.pricesByTable[tableUuid] = filtered;
   return filtered;
 }
 
 /**
- * Fetch VM instances and build vmMap and volumeToVm mapping.
+ * Every price inventory of the endpoint (all price tables), cached per execution.
  */
-function fetchVmMaps(baseUrl, headers) {
-  ZSTACK_CACHE.vmMap = ZSTACK_CACHE.vmMap || null;
-  if (ZSTACK_CACHE.vmMap && ZSTACK_CACHE.volumeToVm) {
-    return { vmMap: ZSTACK_CACHE.vmMap, volumeToVm: ZSTACK_CACHE.volumeToVm };
-  }
-  var url = getZstackUrl(baseUrl, "/vm-instances");
-  var resp = UrlFetchApp.fetch(url, {
-    method: "get",
-    headers: headers,
-    muteHttpExceptions: true,
+function fetchPriceInventories(endpoint) {
+  var cache = endpoint.cache;
+  if (cache.priceInventories) return cache.priceInventories;
+  cache.priceInventories = queryZstack(endpoint, "/billings/prices", {
+    label: "prices fetch",
   });
-  if (resp.getResponseCode() >= 400) {
-    throw new Error("vm instances fetch failed: " + resp.getContentText());
+  return cache.priceInventories;
+}
+
+/**
+ * `/volumes` inventories (all of them, or those in `uuids`), or { error } when the fetch failed (logged;
+ * rows then only get the volume details known from the VMs).
+ */
+function fetchVolumeInventories(endpoint, uuids) {
+  try {
+    return queryZstack(endpoint, "/volumes", {
+      conditions: uuids ? ["uuid?=" + uuids.join(",")] : [],
+      label: "volumes fetch",
+    });
+  } catch (e) {
+    Logger.log(
+      "Warning: volumes fetch failed for %s: %s",
+      endpoint.name,
+      e.toString()
+    );
+    return { error: e.toString() };
+  }
+}
+
+/**
+ * VM and volume maps (see buildVmMaps) from live `/vm-instances` and `/volumes`. With `resourceUuids`
+ * only those VMs and volumes are queried (in chunks); without, every VM and volume is listed.
+ * `/volumes` also returns detached volumes and volumes in Deleted state (expunged volumes are gone
+ * from ZStack; past dates get them from inventory snapshots). Fetched inventories are cached per execution.
+ * `volumesError` is set when a `/volumes` fetch failed; those uuids are queried again by the next call.
+ */
+function fetchVmMaps(endpoint, resourceUuids) {
+  var cache = endpoint.cache;
+  var fetched = [];
+  var fetchedVolumes = [];
+  var volumesError = null;
+  var addVolumes = function (volumes) {
+    if (volumes.error) volumesError = volumes.error;
+    else fetchedVolumes = fetchedVolumes.concat(volumes);
+    return !volumes.error;
+  };
+  if (!resourceUuids) {
+    if (!cache.vmListedAll) {
+      fetched = queryZstack(endpoint, "/vm-instances", {
+        label: "vm instances fetch",
+      });
+      cache.vmListedAll = addVolumes(fetchVolumeInventories(endpoint, null));
+    }
+  } else if (!cache.vmListedAll) {
+    var missing = resourceUuids.filter(function (u) {
+      return u && !cache.vmQueried[u];
+    });
+    chunkZstackUuids(missing).forEach(function (chunk) {
+      var vms = queryZstack(endpoint, "/vm-instances", {
+        conditions: ["uuid?=" + chunk.join(",")],
+        label: "vm instances fetch",
+      });
+      fetched = fetched.concat(vms);
+      var isVm = {};
+      vms.forEach(function (v) {
+        isVm[v.uuid] = true;
+      });
+      var others = chunk.filter(function (u) {
+        return !isVm[u];
+      });
+      var queried =
+        !others.length || addVolumes(fetchVolumeInventories(endpoint, others))
+          ? chunk
+          : chunk.filter(function (u) {
+              return isVm[u];
+            });
+      queried.forEach(function (u) {
+        cache.vmQueried[u] = true;
+      });
+    });
   }
-  var obj = JSON.parse(resp.getContentText());
-  var inv = obj.inventories || [];
+  if (fetched.length || fetchedVolumes.length || !cache.vmMap) {
+    fetched.forEach(function (v) {
+      cache.vmByUuid[v.uuid] = v;
+    });
+    fetchedVolumes.forEach(function (v) {
+      cache.volumeByUuid[v.uuid] = v;
+    });
+    var values = function (map) {
+      return Object.keys(map).map(function (u) {
+        return map[u];
+      });
+    };
+    cache.vmInventories = values(cache.vmByUuid);
+    cache.volumeInventories = values(cache.volumeByUuid);
+    var maps = buildVmMaps(cache.vmInventories, cache.volumeInventories);
+    cache.vmMap = maps.vmMap;
+    cache.volumeToVm = maps.volumeToVm;
+    cache.volumeMap = maps.volumeMap;
+  }
+  return {
+    vmMap: cache.vmMap,
+    volumeToVm: cache.volumeToVm,
+    volumeMap: cache.volumeMap,
+    volumesError: volumesError,
+  };
+}
+
+// Apps Script UrlFetch rejects URLs over about 2 KB; leaves room for the base url and paging
+var ZSTACK_UUID_QUERY_MAX_CHARS = 1500;
+
+/**
+ * Split uuids into chunks whose `q=uuid?=a,b,...` condition stays within ZSTACK_UUID_QUERY_MAX_CHARS
+ * once URL-encoded.
+ */
+function chunkZstackUuids(uuids) {
+  var chunks = [];
+  var chunk = [];
+  var length = 0;
+  uuids.forEach(function (u) {
+    var size = encodeURIComponent("," + u).length;
+    if (chunk.length && length + size > ZSTACK_UUID_QUERY_MAX_CHARS) {
+      chunks.push(chunk);
+      chunk = [];
+      length = 0;
+    }
+    chunk.push(u);
+    length += size;
+  });
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Resource uuids of a calculateAccountSpending payload (VMs, volumes, ...).
+ */
+function spendingResourceUuids(payload) {
+  var seen = {};
+  (payload.spending || []).forEach(function (sp) {
+    (sp.details || []).forEach(function (d) {
+      if (d.resourceUuid) seen[d.resourceUuid] = true;
+    });
+  });
+  return Object.keys(seen);
+}
+
+/**
+ * Build vmMap (vm uuid -> { cpuNum, memorySize, volumesMap }) and volumeToVm from VM inventories.
+ */
+function buildVmMaps(inv, volumes) {
   var vmMap = {};
   var volumeToVm = {};
+  // every known volume by uuid: attached ones from the VMs, then `/volumes` inventories
+  // (detached, deleted or of VMs that were not listed)
+  var volumeMap = {};
   for (var i = 0; i < inv.length; i++) {
     var v = inv[i];
     var vm = {
@@ -926,25 +2913,32 @@ function fetchVmMaps(baseUrl, headers) {
         var vol = v.allVolumes[j];
         vm.volumesMap[vol.uuid] = vol;
         volumeToVm[vol.uuid] = v.uuid;
+        volumeMap[vol.uuid] = vol;
       }
     }
     vmMap[v.uuid] = vm;
   }
-  ZSTACK_CACHE.vmMap = vmMap;
-  ZSTACK_CACHE.volumeToVm = volumeToVm;
-  return { vmMap: vmMap, volumeToVm: volumeToVm };
+  (volumes || []).forEach(function (vol) {
+    volumeMap[vol.uuid] = vol;
+    if (vol.vmInstanceUuid && !volumeToVm[vol.uuid])
+      volumeToVm[vol.uuid] = vol.vmInstanceUuid;
+  });
+  return { vmMap: vmMap, volumeToVm: volumeToVm, volumeMap: volumeMap };
 }
 
 /**
  * Find applicable price entry for a resource at timestamp (use price at startTime).
  * Tries to match resourceType/resourceName and falls back to invKey mapping.
+ * `device` (optional, PCI / bare-metal segments): { kind, offeringUuid } (see Devices.js); prices limited
+ * to other offerings are skipped and a price of the segment's offering wins over one for any offering.
  */
 function findApplicablePrice(
   pricesArray,
   resourceType,
   spendingType,
   invKey,
-  timestampMs
+  timestampMs,
+  device
 ) {
   if (!pricesArray || !Array.isArray(pricesArray)) return null;
   timestampMs = Number(timestampMs) || 0;
@@ -959,6 +2953,16 @@ function findApplicablePrice(
     memoryInventory: "memory",
   };
   if (invKey && invMap[invKey]) candidates.push(invMap[invKey]);
+  if (device)
+    DEVICE_SPENDING_KINDS[device.kind].priceNames.forEach(function (n) {
+      candidates.push(n);
+    });
+  // 2: price of the segment's offering, 1: price for any offering, 0: price of other offerings
+  var offeringRank = function (p) {
+    var offerings = priceOfferingUuids(p);
+    if (!offerings.length) return 1;
+    return device && offerings.indexOf(device.offeringUuid) !== -1 ? 2 : 0;
+  };
 
   // search prices for candidate.resourceName match and dateInLong <= timestamp < endDateInLong (or no endDateInLong)
   var matched = null;
@@ -971,12 +2975,21 @@ function findApplicablePrice(
     if (list.length === 0) continue;
     // find the price with the latest dateInLong <= timestamp
     var best = null;
+    var bestRank = 0;
     for (var i = 0; i < list.length; i++) {
       var p = list[i];
       var start = p.dateInLong ? Number(p.dateInLong) : 0;
       var end = p.endDateInLong ? Number(p.endDateInLong) : null;
-      if (start <= timestampMs && (end === null || timestampMs < end)) {
-        if (!best || start > (best.dateInLong || 0)) best = p;
+      var rank = offeringRank(p);
+      if (rank && start <= timestampMs && (end === null || timestampMs < end)) {
+        if (
+          !best ||
+          rank > bestRank ||
+          (rank === bestRank && start > (best.dateInLong || 0))
+        ) {
+          best = p;
+          bestRank = rank;
+        }
       }
     }
     if (best) {
@@ -1018,6 +3031,7 @@ function testInsertToBQ() {
     {
       json: {
         billing_date: Utilities.formatDate(new Date(), "UTC", "yyyy-MM-dd"),
+        site: DEFAULT_ZSTACK_SITE,
         account_id: "test-account",
         resource_id: "test-resource",
         resource_name: "test-resource-name",
@@ -1047,75 +3061,166 @@ function testInsertToBQ() {
   }
 }
 
+// Schema of the billing table; ensureBQTable adds fields missing from an existing table
+var BQ_BILLING_FIELDS = [
+  { name: "billing_date", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "resource_id", type: "STRING" },
+  { name: "resource_name", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "resource_type", type: "STRING" },
+  { name: "cpu_core", type: "INTEGER" },
+  { name: "memory", type: "INTEGER" },
+  { name: "size", type: "INTEGER" },
+  { name: "actual_size", type: "INTEGER" },
+  { name: "inventory_type", type: "STRING" },
+  { name: "resource_used", type: "FLOAT" },
+  { name: "resource_unit", type: "STRING" },
+  { name: "price_quantity", type: "FLOAT" },
+  { name: "usage_source", type: "STRING" },
+  { name: "expected_cost", type: "FLOAT" },
+  { name: "cost_variance", type: "FLOAT" },
+  { name: "cost", type: "FLOAT" },
+  { name: "date_start_ms", type: "INTEGER" },
+  { name: "date_end_ms", type: "INTEGER" },
+  { name: "raw_json", type: "STRING" },
+  { name: "collected_at", type: "TIMESTAMP" },
+  { name: "run_id", type: "STRING" },
+  { name: "hypervisor_type", type: "STRING" },
+  { name: "unit_price", type: "FLOAT" },
+  { name: "price_uuid", type: "STRING" },
+  { name: "currency", type: "STRING" },
+  { name: "cost_original", type: "FLOAT" },
+  { name: "billing_currency", type: "STRING" },
+  { name: "fx_rate", type: "FLOAT" },
+  { name: "fx_rate_date", type: "DATE" },
+  { name: "cost_billing", type: "FLOAT" },
+  { name: "discount_amount", type: "FLOAT" },
+  { name: "credit_applied", type: "FLOAT" },
+  { name: "net_cost", type: "FLOAT" },
+  { name: "pricing_rule_ids", type: "STRING", mode: "REPEATED" },
+  { name: "volume_type", type: "STRING" },
+  { name: "primary_storage_uuid", type: "STRING" },
+  { name: "volume_status", type: "STRING" },
+  { name: "attached_vm_uuid", type: "STRING" },
+  { name: "device_type", type: "STRING" },
+  { name: "device_model", type: "STRING" },
+  { name: "offering_uuid", type: "STRING" },
+  { name: "device_count", type: "INTEGER" },
+];
+
 /**
  * Ensure BigQuery table exists with a schema; create it if missing.
  */
 function ensureBQTable(projectId, datasetId, tableId) {
+  return ensureBQTableWithSchema(projectId, datasetId, tableId, {
+    friendlyName: "ZStack billing daily",
+    description: "Daily billing rows imported from ZStack",
+    fields: BQ_BILLING_FIELDS,
+    partitionField: "billing_date",
+  });
+}
+
+/**
+ * Ensure a BigQuery table exists with the given fields.
+ * `spec`: { fields, friendlyName, description, partitionField }.
+ * Missing tables are created; fields missing from an existing table are appended (NULLABLE).
+ */
+function ensureBQTableWithSchema(projectId, datasetId, tableId, spec) {
+  var table = null;
   try {
-    BigQuery.Tables.get(projectId, datasetId, tableId);
-    return;
+    table = BigQuery.Tables.get(projectId, datasetId, tableId);
   } catch (e) {
-    // If not found, create table with recommended schema
-    Logger.log(
-      "Table %s.%s.%s not found, creating...",
-      projectId,
-      datasetId,
-      tableId
-    );
-    var tableResource = {
-      tableReference: {
-        projectId: projectId,
-        datasetId: datasetId,
-        tableId: tableId,
-      },
-      friendlyName: "ZStack billing daily",
-      description: "Daily billing rows imported from ZStack",
-      schema: {
-        fields: [
-          { name: "billing_date", type: "DATE" },
-          { name: "account_id", type: "STRING" },
-          { name: "resource_id", type: "STRING" },
-          { name: "resource_name", type: "STRING" },
-          { name: "spending_type", type: "STRING" },
-          { name: "resource_type", type: "STRING" },
-          { name: "cpu_core", type: "INTEGER" },
-          { name: "memory", type: "INTEGER" },
-          { name: "size", type: "INTEGER" },
-          { name: "actual_size", type: "INTEGER" },
-          { name: "inventory_type", type: "STRING" },
-          { name: "resource_used", type: "FLOAT" },
-          { name: "resource_unit", type: "STRING" },
-          { name: "cost", type: "FLOAT" },
-          { name: "date_start_ms", type: "INTEGER" },
-          { name: "date_end_ms", type: "INTEGER" },
-          { name: "raw_json", type: "STRING" },
-          { name: "collected_at", type: "TIMESTAMP" },
-        ],
-      },
-      timePartitioning: { type: "DAY", field: "billing_date" },
-    };
+    table = null;
+  }
 
-    try {
-      BigQuery.Tables.insert(tableResource, projectId, datasetId);
-      Logger.log("Created table %s.%s.%s", projectId, datasetId, tableId);
-    } catch (err) {
-      Logger.log("Failed to create table: %s", err.toString());
-      throw err;
+  if (table) {
+    var existing = (table.schema && table.schema.fields) || [];
+    var names = {};
+    existing.forEach(function (f) {
+      names[f.name] = true;
+    });
+    var missing = spec.fields.filter(function (f) {
+      return !names[f.name];
+    });
+    if (missing.length) {
+      Logger.log(
+        "Adding columns to %s.%s.%s: %s",
+        projectId,
+        datasetId,
+        tableId,
+        missing
+          .map(function (f) {
+            return f.name;
+          })
+          .join(", ")
+      );
+      BigQuery.Tables.patch(
+        { schema: { fields: existing.concat(missing) } },
+        projectId,
+        datasetId,
+        tableId
+      );
     }
+    return;
+  }
+
+  // If not found, create table with recommended schema
+  Logger.log(
+    "Table %s.%s.%s not found, creating...",
+    projectId,
+    datasetId,
+    tableId
+  );
+  var tableResource = {
+    tableReference: {
+      projectId: projectId,
+      datasetId: datasetId,
+      tableId: tableId,
+    },
+    friendlyName: spec.friendlyName || tableId,
+    description: spec.description || "",
+    schema: { fields: spec.fields },
+  };
+  if (spec.partitionField)
+    tableResource.timePartitioning = {
+      type: "DAY",
+      field: spec.partitionField,
+    };
+
+  try {
+    BigQuery.Tables.insert(tableResource, projectId, datasetId);
+    Logger.log("Created table %s.%s.%s", projectId, datasetId, tableId);
+  } catch (err) {
+    Logger.log("Failed to create table: %s", err.toString());
+    throw err;
   }
 }
 
 /**
  * Login to ZStack using account name + password.
  * ZStack expects the password to be SHA-512 hex digest.
+ * Tokens are cached per endpoint name (in-memory and in Script Properties).
  * Returns session token/uuid if found, otherwise null.
  */
-function loginZstack(apiUrl, username, password) {
+function loginZstack(apiUrl, username, password, endpointName, loginPath) {
   try {
     var props = PropertiesService.getScriptProperties();
-    var loginPath =
-      props.getProperty("ZSTACK_LOGIN_PATH") || "/zstack/v1/accounts/login";
+    loginPath =
+      loginPath ||
+      props.getProperty("ZSTACK_LOGIN_PATH") ||
+      "/zstack/v1/accounts/login";
     var url = apiUrl.replace(/\/$/, "") + loginPath;
+    var cache = getEndpointCache(endpointName);
+    // legacy property names for the default endpoint, suffixed names for the others
+    var propSuffix =
+      !endpointName || endpointName === DEFAULT_ZSTACK_SITE
+        ? ""
+        : "_" +
+          String(endpointName)
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, "_");
 
     // TTL for cached token in seconds (script property optional), default 24h
     var ttl = parseInt(
@@ -1125,30 +3230,27 @@ function loginZstack(apiUrl, username, password) {
     var nowSec = Math.floor(Date.now() / 1000);
 
     // Return in-memory cached token if present and fresh
-    if (
-      ZSTACK_CACHE &&
-      ZSTACK_CACHE.token &&
-      nowSec - ZSTACK_CACHE.fetchedAtSec < ttl
-    ) {
+    if (cache.token && nowSec - cache.fetchedAtSec < ttl) {
       return {
-        token: ZSTACK_CACHE.token,
-        accountUuid: ZSTACK_CACHE.accountUuid,
-        uuid: ZSTACK_CACHE.token,
+        token: cache.token,
+        accountUuid: cache.accountUuid,
+        uuid: cache.token,
       };
     }
 
     // Check Script Properties cache
-    var cachedToken = props.getProperty("ZSTACK_CACHED_TOKEN");
+    var cachedToken = props.getProperty("ZSTACK_CACHED_TOKEN" + propSuffix);
     var cachedTs = parseInt(
-      props.getProperty("ZSTACK_CACHED_TOKEN_TS") || "0",
+      props.getProperty("ZSTACK_CACHED_TOKEN_TS" + propSuffix) || "0",
       10
     );
-    var cachedAccount = props.getProperty("ZSTACK_CACHED_ACCOUNT_UUID") || null;
+    var cachedAccount =
+      props.getProperty("ZSTACK_CACHED_ACCOUNT_UUID" + propSuffix) || null;
     if (cachedToken && cachedTs && nowSec - cachedTs < ttl) {
       // populate in-memory cache and return
-      ZSTACK_CACHE.token = cachedToken;
-      ZSTACK_CACHE.accountUuid = cachedAccount;
-      ZSTACK_CACHE.fetchedAtSec = cachedTs;
+      cache.token = cachedToken;
+      cache.accountUuid = cachedAccount;
+      cache.fetchedAtSec = cachedTs;
       Logger.log(
         "loginZstack using cached token (props) age=%s sec",
         nowSec - cachedTs
@@ -1173,6 +3275,7 @@ function loginZstack(apiUrl, username, password) {
     };
     var resp = UrlFetchApp.fetch(url, options);
     var code = resp.getResponseCode();
+    recordZstackHttpStatus(code);
     if (code >= 400) {
       Logger.log("Login failed: %s", resp.getContentText());
       return null;
@@ -1223,14 +3326,20 @@ function loginZstack(apiUrl, username, password) {
 
     // cache to in-memory and Script Properties
     if (token) {
-      ZSTACK_CACHE.token = token;
-      ZSTACK_CACHE.accountUuid = accountUuid || null;
-      ZSTACK_CACHE.fetchedAtSec = nowSec;
+      cache.token = token;
+      cache.accountUuid = accountUuid || null;
+      cache.fetchedAtSec = nowSec;
       try {
-        props.setProperty("ZSTACK_CACHED_TOKEN", token);
-        props.setProperty("ZSTACK_CACHED_TOKEN_TS", String(nowSec));
+        props.setProperty("ZSTACK_CACHED_TOKEN" + propSuffix, token);
+        props.setProperty(
+          "ZSTACK_CACHED_TOKEN_TS" + propSuffix,
+          String(nowSec)
+        );
         if (accountUuid)
-          props.setProperty("ZSTACK_CACHED_ACCOUNT_UUID", accountUuid);
+          props.setProperty(
+            "ZSTACK_CACHED_ACCOUNT_UUID" + propSuffix,
+            accountUuid
+          );
       } catch (e) {
         Logger.log(
           "Warning: failed to persist cached token in ScriptProperties: %s",
@@ -0,0 +1,238 @@
+/**
+ * Currency conversion of billing rows.
+ * ZStack prices are entered in a source currency; each row keeps that cost in `cost` / `cost_original`
+ * (with `currency`) and gets `cost_billing` converted to the account's billing currency using the FX
+ * rate valid on billing_date (the latest rate dated on or before it). The rate and its date are stored
+ * on the row (`fx_rate`, `fx_rate_date`) for audit.
+ * Script Properties:
+ *  - SOURCE_CURRENCY (default "IDR"): currency of the price tables; per site set `currency` in
+ *    ZSTACK_ENDPOINTS, per price table or account set SOURCE_CURRENCIES, a JSON map
+ *    { "<priceTableUuid or accountUuid>": "CNY" } (account wins over price table over site)
+ *  - BILLING_CURRENCY (default INVOICE_CURRENCY, else "IDR"): currency rows are converted to;
+ *    BILLING_CURRENCIES, a JSON map { "<accountUuid>": "USD" }, overrides it per account
+ * Rates live in BQ_FX_RATES_TABLE (default `<BQ_TABLE>_fx_rates`); add them with setFxRate.
+ */
+var BQ_FX_RATE_FIELDS = [
+  { name: "rate_date", type: "DATE" },
+  { name: "from_currency", type: "STRING" },
+  { name: "to_currency", type: "STRING" },
+  { name: "rate", type: "FLOAT" },
+  { name: "source", type: "STRING" },
+  { name: "actor", type: "STRING" },
+  { name: "created_at", type: "TIMESTAMP" },
+];
+
+/**
+ * SQL condition for billing rows whose cost cannot be expressed in the billing currency: a source
+ * currency other than the billing currency and no converted cost (no FX rate when collected).
+ */
+var BQ_UNCONVERTED_COST_CONDITION =
+  "(cost_billing IS NULL AND currency IS NOT NULL AND currency IS DISTINCT FROM billing_currency)";
+
+/**
+ * SQL expression for a billing row's cost in the billing currency: `cost_billing`, or `cost` for
+ * rows collected before currencies or already in the billing currency. Unconverted rows (see
+ * BQ_UNCONVERTED_COST_CONDITION) give NULL, so sums leave them out rather than mix currencies.
+ */
+var BQ_BILLING_COST_EXPR =
+  "IF(" + BQ_UNCONVERTED_COST_CONDITION + ", NULL, IFNULL(cost_billing, cost))";
+
+/**
+ * Record that 1 `fromCurrency` = `rate` `toCurrency` from `rateDate` (YYYY-MM-DD) on, e.g.
+ * setFxRate("2025-01-01", "CNY", "IDR", 2400). A later call for the same date and pair supersedes it.
+ * Rows already collected keep the rate they were converted with; re-collect to apply a new rate.
+ */
+function setFxRate(rateDate, fromCurrency, toCurrency, rate, source) {
+  if (!isIsoDate(rateDate))
+    throw new Error("rateDate must be provided as YYYY-MM-DD");
+  var from = normalizeCurrency(fromCurrency);
+  var to = normalizeCurrency(toCurrency);
+  if (!from || !to || from === to)
+    throw new Error("fromCurrency and toCurrency must be two different codes");
+  if (!(Number(rate) > 0)) throw new Error("rate must be a positive number");
+  var t = getFxRatesTable();
+  if (!t.projectId || !t.datasetId)
+    throw new Error(
+      "Set BQ_PROJECT, BQ_DATASET, BQ_TABLE in Script Properties"
+    );
+  ensureBQTableWithSchema(t.projectId, t.datasetId, t.tableId, {
+    friendlyName: "ZStack FX rates",
+    description: "Dated currency conversion rates (append-only)",
+    fields: BQ_FX_RATE_FIELDS,
+  });
+  insertRowsToBQ(t.projectId, t.datasetId, t.tableId, [
+    {
+      json: {
+        rate_date: rateDate,
+        from_currency: from,
+        to_currency: to,
+        rate: Number(rate),
+        source: source || null,
+        actor: Session.getEffectiveUser().getEmail() || null,
+        created_at: new Date().toISOString(),
+      },
+    },
+  ]);
+  Logger.log("FX rate %s->%s = %s from %s", from, to, rate, rateDate);
+}
+
+/**
+ * Rates valid on billingDate: the latest rate per currency pair dated on or before it,
+ * [{ from_currency, to_currency, rate, rate_date }]. [] when no rate was recorded yet.
+ */
+function listFxRates(billingDate) {
+  var t = getFxRatesTable();
+  try {
+    BigQuery.Tables.get(t.projectId, t.datasetId, t.tableId);
+  } catch (e) {
+    return [];
+  }
+  return queryBQRows(
+    t.projectId,
+    "SELECT from_currency, to_currency, rate, CAST(rate_date AS STRING) AS rate_date FROM `" +
+      t.projectId +
+      "." +
+      t.datasetId +
+      "." +
+      t.tableId +
+      "` WHERE rate_date <= DATE " +
+      bqQuote(billingDate) +
+      " QUALIFY ROW_NUMBER() OVER (PARTITION BY from_currency, to_currency" +
+      " ORDER BY rate_date DESC, created_at DESC) = 1"
+  );
+}
+
+/**
+ * Pick the rate converting `from` into `to` out of listFxRates() output; an inverse pair is used
+ * when only the opposite direction was recorded. Returns { rate, rateDate } or null.
+ */
+function findFxRate(rates, from, to) {
+  if (from === to) return { rate: 1, rateDate: null };
+  for (var i = 0; i < rates.length; i++) {
+    var r = rates[i];
+    if (r.from_currency === from && r.to_currency === to)
+      return { rate: Number(r.rate), rateDate: r.rate_date };
+  }
+  for (var j = 0; j < rates.length; j++) {
+    var inv = rates[j];
+    if (inv.from_currency === to && inv.to_currency === from)
+      return { rate: 1 / Number(inv.rate), rateDate: inv.rate_date };
+  }
+  return null;
+}
+
+/**
+ * Conversion for one account on ctx.billingDate: { currency, billingCurrency, rate, rateDate, warning }.
+ * `rate` is null (and `warning` set) when no rate is available. Rates are read once per ctx.
+ */
+function resolveFxConversion(ctx, site, accountUuid, priceTableUuid) {
+  var cfg = getCurrencyConfig();
+  var currency =
+    cfg.sources[accountUuid] ||
+    (priceTableUuid && cfg.sources[priceTableUuid]) ||
+    cfg.siteSources[site] ||
+    cfg.sourceCurrency;
+  var billingCurrency =
+    cfg.billingCurrencies[accountUuid] || cfg.billingCurrency;
+  var fx = {
+    currency: currency,
+    billingCurrency: billingCurrency,
+    rate: null,
+    rateDate: null,
+    warning: null,
+  };
+  var found = null;
+  try {
+    if (currency !== billingCurrency && !ctx.fxRates)
+      ctx.fxRates = listFxRates(ctx.billingDate);
+    found = findFxRate(ctx.fxRates || [], currency, billingCurrency);
+  } catch (e) {
+    fx.warning = "failed to read FX rates: " + e.toString();
+    return fx;
+  }
+  if (!found) {
+    fx.warning =
+      "no FX rate " +
+      currency +
+      "->" +
+      billingCurrency +
+      " valid on " +
+      ctx.billingDate +
+      "; cost_billing left empty";
+    return fx;
+  }
+  fx.rate = found.rate;
+  fx.rateDate = found.rateDate;
+  return fx;
+}
+
+/**
+ * Set the currency columns of a billing row from a resolveFxConversion() result (or null).
+ */
+function applyFxToRow(row, fx) {
+  var cost = Number(row.cost || 0);
+  row.currency = fx ? fx.currency : null;
+  row.cost_original = row.cost;
+  row.billing_currency = fx ? fx.billingCurrency : null;
+  row.fx_rate = fx && fx.rate !== null ? fx.rate : null;
+  row.fx_rate_date = fx ? fx.rateDate : null;
+  row.cost_billing = fx && fx.rate !== null ? cost * fx.rate : null;
+  return row;
+}
+
+function getCurrencyConfig() {
+  var props = PropertiesService.getScriptProperties();
+  var parseMap = function (name) {
+    var raw = props.getProperty(name);
+    if (!raw) return {};
+    var map;
+    try {
+      map = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(name + " must be valid JSON: " + e.toString());
+    }
+    var out = {};
+    Object.keys(map || {}).forEach(function (k) {
+      out[k] = normalizeCurrency(map[k]);
+    });
+    return out;
+  };
+  var siteSources = {};
+  try {
+    getZstackEndpoints().forEach(function (ep) {
+      if (ep.currency) siteSources[ep.name] = normalizeCurrency(ep.currency);
+    });
+  } catch (e) {
+    // replays may run without ZStack settings; fall back to the other sources
+  }
+  return {
+    sourceCurrency: normalizeCurrency(
+      props.getProperty("SOURCE_CURRENCY") || "IDR"
+    ),
+    sources: parseMap("SOURCE_CURRENCIES"),
+    siteSources: siteSources,
+    billingCurrency: normalizeCurrency(
+      props.getProperty("BILLING_CURRENCY") ||
+        props.getProperty("INVOICE_CURRENCY") ||
+        "IDR"
+    ),
+    billingCurrencies: parseMap("BILLING_CURRENCIES"),
+  };
+}
+
+function normalizeCurrency(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+function getFxRatesTable() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    projectId: props.getProperty("BQ_PROJECT") || "",
+    datasetId: props.getProperty("BQ_DATASET") || "",
+    tableId:
+      props.getProperty("BQ_FX_RATES_TABLE") ||
+      (props.getProperty("BQ_TABLE") || "") + "_fx_rates",
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * PCI device (GPU passthrough) and bare-metal spending.
+ * ZStack bills these as their own spending details; their prices may be limited to offerings
+ * (`pciDeviceOfferings` / `bareMetal2VmOfferings` on the price inventory). DEVICE_SPENDING_KINDS
+ * lists, per kind, how a segment is recognised (spending type, detail type or inventory key), which
+ * price resourceNames apply and where the offering, model and device count are found. Rows of such
+ * segments get device_type, device_model, offering_uuid and device_count; usage is counted in
+ * device-hours (PCI) or instance-hours (bare metal), see Usage.js.
+ */
+var DEVICE_SPENDING_KINDS = {
+  gpu: {
+    pattern: /pci|gpu/i,
+    priceNames: ["gpu", "pciDevice"],
+    offeringsField: "pciDeviceOfferings",
+    offeringKeys: [
+      "pciDeviceOfferingUuid",
+      "pciSpecUuid",
+      "pciDeviceSpecUuid",
+      "offeringUuid",
+    ],
+    modelKeys: ["pciDeviceModel", "pciSpecName", "model", "deviceModel"],
+    countKeys: ["pciDeviceCount", "pciDeviceNum", "deviceCount", "count"],
+  },
+  bare_metal: {
+    pattern: /bare\s*metal/i,
+    priceNames: ["bareMetal2", "bareMetal2Vm"],
+    offeringsField: "bareMetal2VmOfferings",
+    offeringKeys: [
+      "bareMetal2VmOfferingUuid",
+      "bareMetal2OfferingUuid",
+      "offeringUuid",
+    ],
+    modelKeys: ["bareMetal2VmOfferingName", "offeringName", "model"],
+    countKeys: [],
+  },
+};
+
+/**
+ * Kind of a spending segment (a DEVICE_SPENDING_KINDS key) from its spending type, detail type or
+ * inventory key, or null for anything else. Pure function.
+ */
+function deviceSpendingKind(spendingType, resourceType, invKey) {
+  var names = Object.keys(DEVICE_SPENDING_KINDS);
+  for (var i = 0; i < names.length; i++) {
+    var pattern = DEVICE_SPENDING_KINDS[names[i]].pattern;
+    if (
+      pattern.test(spendingType || "") ||
+      pattern.test(resourceType || "") ||
+      pattern.test(invKey || "")
+    )
+      return names[i];
+  }
+  return null;
+}
+
+/**
+ * { offeringUuid, model, count } of a segment: the inventory entry's fields, else the detail's.
+ * `count` defaults to 1 (one device or one bare-metal instance per detail). Pure function.
+ */
+function deviceSegmentInfo(kind, detail, inv) {
+  var spec = DEVICE_SPENDING_KINDS[kind];
+  var pick = function (keys) {
+    for (var i = 0; i < keys.length; i++) {
+      var v = inv[keys[i]];
+      if (v === undefined || v === null || v === "") v = detail[keys[i]];
+      if (v !== undefined && v !== null && v !== "") return v;
+    }
+    return null;
+  };
+  var count = Number(pick(spec.countKeys));
+  return {
+    offeringUuid: pick(spec.offeringKeys),
+    model: pick(spec.modelKeys),
+    count: count > 0 ? count : 1,
+  };
+}
+
+/**
+ * Offering uuids a price is limited to ([] = any offering). Entries are uuids or refs with the uuid in
+ * one of the kind's offeringKeys.
+ */
+function priceOfferingUuids(price) {
+  var out = [];
+  Object.keys(DEVICE_SPENDING_KINDS).forEach(function (kind) {
+    var spec = DEVICE_SPENDING_KINDS[kind];
+    (price[spec.offeringsField] || []).forEach(function (o) {
+      if (typeof o === "string") return out.push(o);
+      for (var i = 0; i < spec.offeringKeys.length; i++)
+        if (o && o[spec.offeringKeys[i]])
+          return out.push(o[spec.offeringKeys[i]]);
+    });
+  });
+  return out;
+}
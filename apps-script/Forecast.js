@@ -0,0 +1,266 @@
+/**
+ * Month-end spend forecast per account and spending type.
+ * forecast = month-to-date cost + current daily run-rate x days left in the month, where the run-rate
+ * comes from the latest day's inventory segments that are still running at the end of the day
+ * (a resource deleted or resized during the day only contributes its last segment's rate).
+ * Forecasts are stored per day in BQ_FORECAST_TABLE (default `<BQ_TABLE>_forecast`) so they can be
+ * compared with the actual month total after close (see getForecastAccuracy).
+ * FORECAST_RUNNING_SLACK_SEC (default 300): a segment ending this close to the end of the day counts as running.
+ */
+var BQ_FORECAST_FIELDS = [
+  { name: "forecast_date", type: "DATE" },
+  { name: "forecast_month", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "mtd_cost", type: "FLOAT" },
+  { name: "daily_run_rate", type: "FLOAT" },
+  { name: "running_resources", type: "INTEGER" },
+  { name: "remaining_days", type: "INTEGER" },
+  { name: "forecast_cost", type: "FLOAT" },
+  { name: "run_id", type: "STRING" },
+  { name: "created_at", type: "TIMESTAMP" },
+];
+
+/**
+ * Pure forecast computation.
+ * `mtdRows`: [{ site, account_id, spending_type, cost }] month-to-date totals through `billingDate`.
+ * `daySegments`: billing rows of `billingDate` ({ site, account_id, spending_type, resource_id, cost,
+ *   date_start_ms, date_end_ms }).
+ * Returns [{ site, account_id, spending_type, mtd_cost, daily_run_rate, running_resources,
+ *   remaining_days, forecast_cost }].
+ */
+function forecastMonthEnd(billingDate, mtdRows, daySegments, slackMs) {
+  var dayEndMs = billingDateRangeMs(billingDate).dateEndMs;
+  var p = billingDate.split("-");
+  var daysInMonth = new Date(
+    Date.UTC(Number(p[0]), Number(p[1]), 0)
+  ).getUTCDate();
+  var remainingDays = daysInMonth - Number(p[2]);
+
+  var groups = {};
+  var group = function (r) {
+    var k = [r.site, r.account_id, r.spending_type || ""].join("|");
+    if (!groups[k])
+      groups[k] = {
+        site: r.site,
+        account_id: r.account_id,
+        spending_type: r.spending_type || null,
+        mtd_cost: 0,
+        daily_run_rate: 0,
+        resources: {},
+      };
+    return groups[k];
+  };
+  mtdRows.forEach(function (r) {
+    group(r).mtd_cost += Number(r.cost || 0);
+  });
+  // the day's end as ZStack reported it (segments of running resources end at the request's dateEnd)
+  var accountEnd = {};
+  daySegments.forEach(function (s) {
+    var k = s.site + "|" + s.account_id;
+    accountEnd[k] = Math.max(accountEnd[k] || 0, Number(s.date_end_ms));
+  });
+  daySegments.forEach(function (s) {
+    var start = Number(s.date_start_ms);
+    var end = Number(s.date_end_ms);
+    var dayEnd = accountEnd[s.site + "|" + s.account_id] || dayEndMs;
+    if (!(end > start) || end < dayEnd - slackMs) return;
+    var g = group(s);
+    // cost per ms of the running segment, scaled to a full day
+    g.daily_run_rate += (Number(s.cost || 0) / (end - start)) * 86400000;
+    g.resources[s.resource_id] = true;
+  });
+
+  return Object.keys(groups).map(function (k) {
+    var g = groups[k];
+    return {
+      site: g.site,
+      account_id: g.account_id,
+      spending_type: g.spending_type,
+      mtd_cost: g.mtd_cost,
+      daily_run_rate: g.daily_run_rate,
+      running_resources: Object.keys(g.resources).length,
+      remaining_days: remainingDays,
+      forecast_cost: g.mtd_cost + g.daily_run_rate * remainingDays,
+    };
+  });
+}
+
+/**
+ * Forecast the month of `billingDate` for the given accounts ([{ site, accountUuid }]) and store it,
+ * replacing an earlier forecast of the same date and accounts. Returns the forecasts.
+ */
+function forecastForDate(billingDate, scopes, runId) {
+  if (!scopes.length) return [];
+  var props = PropertiesService.getScriptProperties();
+  var projectId = props.getProperty("BQ_PROJECT") || "";
+  var datasetId = props.getProperty("BQ_DATASET") || "";
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  var forecastTable =
+    props.getProperty("BQ_FORECAST_TABLE") || tableId + "_forecast";
+  var slackMs =
+    Number(props.getProperty("FORECAST_RUNNING_SLACK_SEC") || "300") * 1000;
+  var table = "`" + projectId + "." + datasetId + "." + tableId + "`";
+  var month = billingDate.slice(0, 7) + "-01";
+
+  var inScope = {};
+  scopes.forEach(function (s) {
+    inScope[s.site + "|" + s.accountUuid] = true;
+  });
+  var scopeFilter = function (r) {
+    return inScope[r.site + "|" + r.account_id];
+  };
+  var accountList = scopes
+    .map(function (s) {
+      return bqQuote(s.accountUuid);
+    })
+    .join(", ");
+  var siteExpr = "IFNULL(site, " + bqQuote(DEFAULT_ZSTACK_SITE) + ")";
+
+  var mtdRows = queryBQRows(
+    projectId,
+    "SELECT " +
+      siteExpr +
+      " AS site, account_id, spending_type, SUM(" +
+      BQ_BILLING_COST_EXPR +
+      ") AS cost, COUNTIF(" +
+      BQ_UNCONVERTED_COST_CONDITION +
+      ") AS unconverted_rows FROM " +
+      table +
+      " WHERE billing_date BETWEEN DATE " +
+      bqQuote(month) +
+      " AND DATE " +
+      bqQuote(billingDate) +
+      " AND account_id IN (" +
+      accountList +
+      ") GROUP BY site, account_id, spending_type"
+  ).filter(scopeFilter);
+  var daySegments = queryBQRows(
+    projectId,
+    "SELECT " +
+      siteExpr +
+      " AS site, account_id, spending_type, resource_id, " +
+      BQ_BILLING_COST_EXPR +
+      " AS cost, date_start_ms, date_end_ms FROM " +
+      table +
+      " WHERE billing_date = DATE " +
+      bqQuote(billingDate) +
+      " AND NOT " +
+      BQ_UNCONVERTED_COST_CONDITION +
+      " AND account_id IN (" +
+      accountList +
+      ")"
+  ).filter(scopeFilter);
+  var unconverted = mtdRows.reduce(function (n, r) {
+    return n + Number(r.unconverted_rows || 0);
+  }, 0);
+  if (unconverted)
+    Logger.log(
+      "Warning: forecast for %s leaves out %s row(s) without a billing-currency cost; add the FX rate and re-collect",
+      billingDate,
+      unconverted
+    );
+
+  var forecasts = forecastMonthEnd(billingDate, mtdRows, daySegments, slackMs);
+
+  ensureBQTableWithSchema(projectId, datasetId, forecastTable, {
+    friendlyName: "ZStack month-end forecast",
+    description: "Daily month-end cost forecast per account and spending type",
+    fields: BQ_FORECAST_FIELDS,
+    partitionField: "forecast_date",
+  });
+  var createdAt = new Date().toISOString();
+  replaceBQRows(
+    projectId,
+    datasetId,
+    forecastTable,
+    "forecast_date = DATE " + bqQuote(billingDate) + bqScopesCondition(scopes),
+    forecasts.map(function (f) {
+      return {
+        json: Object.assign(
+          {
+            forecast_date: billingDate,
+            forecast_month: month,
+            run_id: runId || null,
+            created_at: createdAt,
+          },
+          f
+        ),
+      };
+    }),
+    "replaceForecast"
+  );
+  return forecasts;
+}
+
+/**
+ * Forecast after a collection run for the accounts it wrote; failures only log.
+ */
+function forecastAfterRun(run, out) {
+  if (run.dryRun || !out) return;
+  try {
+    forecastForDate(
+      run.billingDate,
+      (out.accounts || [])
+        .filter(function (a) {
+          return a.ok && a.accountUuid;
+        })
+        .map(function (a) {
+          return { site: a.site, accountUuid: a.accountUuid };
+        }),
+      run.runId
+    );
+  } catch (e) {
+    Logger.log(
+      "Warning: forecast failed for %s: %s",
+      run.billingDate,
+      e.toString()
+    );
+  }
+}
+
+/**
+ * Compare each day's forecast of a closed month ("YYYY-MM") with the actual month total.
+ * Returns [{ forecast_date, site, account_id, spending_type, forecast_cost, actual_cost, error, error_pct,
+ * unconverted_rows }]; unconverted_rows counts the month's rows left out of actual_cost for lack of an FX rate.
+ */
+function getForecastAccuracy(yearMonth) {
+  if (!/^\d{4}-\d{2}$/.test(yearMonth || ""))
+    throw new Error("yearMonth must be provided in YYYY-MM format");
+  var props = PropertiesService.getScriptProperties();
+  var projectId = props.getProperty("BQ_PROJECT") || "";
+  var datasetId = props.getProperty("BQ_DATASET") || "";
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  var forecastTable =
+    props.getProperty("BQ_FORECAST_TABLE") || tableId + "_forecast";
+  var month = yearMonth + "-01";
+  var ds = "`" + projectId + "." + datasetId + ".";
+  return queryBQRows(
+    projectId,
+    "WITH actual AS (SELECT IFNULL(site, " +
+      bqQuote(DEFAULT_ZSTACK_SITE) +
+      ") AS site, account_id, spending_type, SUM(" +
+      BQ_BILLING_COST_EXPR +
+      ") AS actual_cost, COUNTIF(" +
+      BQ_UNCONVERTED_COST_CONDITION +
+      ") AS unconverted_rows FROM " +
+      ds +
+      tableId +
+      "` WHERE DATE_TRUNC(billing_date, MONTH) = DATE " +
+      bqQuote(month) +
+      " GROUP BY site, account_id, spending_type)" +
+      " SELECT CAST(f.forecast_date AS STRING) AS forecast_date, f.site, f.account_id, f.spending_type," +
+      " f.forecast_cost, IFNULL(a.actual_cost, 0) AS actual_cost," +
+      " f.forecast_cost - IFNULL(a.actual_cost, 0) AS error," +
+      " SAFE_DIVIDE(f.forecast_cost - IFNULL(a.actual_cost, 0), a.actual_cost) * 100 AS error_pct," +
+      " IFNULL(a.unconverted_rows, 0) AS unconverted_rows FROM " +
+      ds +
+      forecastTable +
+      "` f LEFT JOIN actual a ON a.site = f.site AND a.account_id = f.account_id" +
+      " AND IFNULL(a.spending_type, '') = IFNULL(f.spending_type, '')" +
+      " WHERE f.forecast_month = DATE " +
+      bqQuote(month) +
+      " ORDER BY f.forecast_date, f.site, f.account_id, f.spending_type"
+  );
+}
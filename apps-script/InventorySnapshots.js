@@ -0,0 +1,307 @@
+/**
+ * Daily VM and volume inventory snapshots.
+ * Every run that writes rows stores the live `/vm-instances` state (cpuNum, memorySize, state,
+ * host/cluster/zone) and every `/volumes` volume (size/actualSize, type, primary storage, status, the VM
+ * it is attached to, if any) in BQ_INVENTORY_SNAPSHOT_TABLE (default `<BQ_TABLE>_inventory_snapshots`),
+ * one snapshot per site and day, taken by the first run of the day. The Script Property
+ * INVENTORY_SNAPSHOT_DATES ({ "<site>": "YYYY-MM-DD" }) records the last snapshot of each site, so the
+ * hourly runs do not list every VM and volume again; remove a site's entry to take it again.
+ * Enrichment of a past billing_date (cpu_core, memory, size, volume columns) uses the snapshot closest
+ * to it, so a backfill sees the specs a VM had back then, and volumes expunged since; live data is only
+ * used for recent dates or when the site has no snapshot yet.
+ */
+var INVENTORY_SNAPSHOT_DATES_PROPERTY = "INVENTORY_SNAPSHOT_DATES";
+var BQ_INVENTORY_SNAPSHOT_FIELDS = [
+  { name: "snapshot_date", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "record_type", type: "STRING" },
+  { name: "vm_uuid", type: "STRING" },
+  { name: "vm_name", type: "STRING" },
+  { name: "state", type: "STRING" },
+  { name: "cpu_num", type: "INTEGER" },
+  { name: "memory_size", type: "INTEGER" },
+  { name: "hypervisor_type", type: "STRING" },
+  { name: "host_uuid", type: "STRING" },
+  { name: "cluster_uuid", type: "STRING" },
+  { name: "zone_uuid", type: "STRING" },
+  { name: "volume_uuid", type: "STRING" },
+  { name: "volume_name", type: "STRING" },
+  { name: "volume_type", type: "STRING" },
+  { name: "primary_storage_uuid", type: "STRING" },
+  { name: "volume_status", type: "STRING" },
+  { name: "size", type: "INTEGER" },
+  { name: "actual_size", type: "INTEGER" },
+  { name: "run_id", type: "STRING" },
+  { name: "captured_at", type: "TIMESTAMP" },
+];
+
+/**
+ * Snapshot rows ({ record_type "vm" | "volume", ... }) of `/vm-instances` and `/volumes` inventories.
+ * A volume row has vm_uuid NULL when the volume is detached. Pure function.
+ */
+function buildInventorySnapshotRows(inventories, volumes) {
+  var rows = [];
+  var volumeByUuid = {};
+  (volumes || []).forEach(function (vol) {
+    volumeByUuid[vol.uuid] = vol;
+  });
+  var volumeRow = function (vol, vmUuid) {
+    return {
+      record_type: "volume",
+      vm_uuid: vmUuid || null,
+      state: vol.state || null,
+      volume_uuid: vol.uuid,
+      volume_name: vol.name || null,
+      volume_type: vol.type || null,
+      primary_storage_uuid: vol.primaryStorageUuid || null,
+      volume_status: vol.status || null,
+      size: vol.size === undefined ? null : vol.size,
+      actual_size: vol.actualSize === undefined ? null : vol.actualSize,
+    };
+  };
+  var seen = {};
+  (inventories || []).forEach(function (v) {
+    rows.push({
+      record_type: "vm",
+      vm_uuid: v.uuid,
+      vm_name: v.name || null,
+      state: v.state || null,
+      cpu_num: v.cpuNum === undefined ? null : v.cpuNum,
+      memory_size: v.memorySize === undefined ? null : v.memorySize,
+      hypervisor_type: v.hypervisorType || null,
+      host_uuid: v.hostUuid || v.lastHostUuid || null,
+      cluster_uuid: v.clusterUuid || null,
+      zone_uuid: v.zoneUuid || null,
+    });
+    (v.allVolumes || []).forEach(function (vol) {
+      seen[vol.uuid] = true;
+      rows.push(
+        volumeRow(Object.assign({}, vol, volumeByUuid[vol.uuid] || {}), v.uuid)
+      );
+    });
+  });
+  (volumes || []).forEach(function (vol) {
+    if (!seen[vol.uuid]) rows.push(volumeRow(vol, vol.vmInstanceUuid));
+  });
+  return rows;
+}
+
+/**
+ * Turn snapshot rows back into { inventories, volumes }: `/vm-instances`- and `/volumes`-shaped
+ * inventories (for buildVmMaps). Pure function.
+ */
+function inventoriesFromSnapshotRows(rows) {
+  var vms = {};
+  var order = [];
+  var volumes = [];
+  rows.forEach(function (r) {
+    if (r.record_type === "vm") {
+      vms[r.vm_uuid] = {
+        uuid: r.vm_uuid,
+        name: r.vm_name,
+        state: r.state,
+        cpuNum: r.cpu_num === null ? undefined : Number(r.cpu_num),
+        memorySize: r.memory_size === null ? undefined : Number(r.memory_size),
+        hypervisorType: r.hypervisor_type,
+        hostUuid: r.host_uuid,
+        clusterUuid: r.cluster_uuid,
+        zoneUuid: r.zone_uuid,
+        allVolumes: [],
+      };
+      order.push(r.vm_uuid);
+    } else {
+      volumes.push({
+        uuid: r.volume_uuid,
+        name: r.volume_name,
+        type: r.volume_type,
+        state: r.state,
+        status: r.volume_status || undefined,
+        primaryStorageUuid: r.primary_storage_uuid || undefined,
+        vmInstanceUuid: r.vm_uuid || undefined,
+        size: r.size === null ? undefined : Number(r.size),
+        actualSize: r.actual_size === null ? undefined : Number(r.actual_size),
+      });
+    }
+  });
+  volumes.forEach(function (vol) {
+    if (vol.vmInstanceUuid && vms[vol.vmInstanceUuid])
+      vms[vol.vmInstanceUuid].allVolumes.push(vol);
+  });
+  return {
+    inventories: order.map(function (uuid) {
+      return vms[uuid];
+    }),
+    volumes: volumes,
+  };
+}
+
+/**
+ * Store today's snapshot of a connected endpoint unless the site already has one (see
+ * INVENTORY_SNAPSHOT_DATES). Skipped when `/volumes` cannot be fetched; the next run then tries again.
+ */
+function captureInventorySnapshot(ctx, endpoint) {
+  var today = Utilities.formatDate(new Date(), "Asia/Jakarta", "yyyy-MM-dd");
+  var cache = endpoint.cache;
+  if (cache.snapshotDate === today) return;
+  var props = PropertiesService.getScriptProperties();
+  var raw = props.getProperty(INVENTORY_SNAPSHOT_DATES_PROPERTY);
+  var dates = raw ? JSON.parse(raw) : {};
+  if (dates[endpoint.name] === today) {
+    cache.snapshotDate = today;
+    return;
+  }
+  var t = getInventorySnapshotTable();
+  // a snapshot without the volumes would replace a complete one of the day
+  var volumesError = fetchVmMaps(endpoint).volumesError;
+  if (volumesError) {
+    Logger.log(
+      "Warning: inventory snapshot of %s skipped, volumes fetch failed: %s",
+      endpoint.name,
+      volumesError
+    );
+    return;
+  }
+  var capturedAt = new Date().toISOString();
+  var rows = buildInventorySnapshotRows(
+    cache.vmInventories,
+    cache.volumeInventories
+  ).map(function (r) {
+    return {
+      json: Object.assign(
+        {
+          snapshot_date: today,
+          site: endpoint.name,
+          run_id: ctx.runId || null,
+          captured_at: capturedAt,
+        },
+        r
+      ),
+    };
+  });
+  ensureBQTableWithSchema(t.projectId, t.datasetId, t.tableId, {
+    friendlyName: "ZStack inventory snapshots",
+    description: "Daily VM and volume inventory per site",
+    fields: BQ_INVENTORY_SNAPSHOT_FIELDS,
+    partitionField: "snapshot_date",
+  });
+  replaceBQRows(
+    t.projectId,
+    t.datasetId,
+    t.tableId,
+    "snapshot_date = DATE " +
+      bqQuote(today) +
+      " AND site = " +
+      bqQuote(endpoint.name),
+    rows,
+    "replaceInventorySnapshot"
+  );
+  cache.snapshotDate = today;
+  // re-read: a concurrent run (e.g. a backfill) may have recorded another site meanwhile
+  raw = props.getProperty(INVENTORY_SNAPSHOT_DATES_PROPERTY);
+  dates = raw ? JSON.parse(raw) : {};
+  dates[endpoint.name] = today;
+  props.setProperty(INVENTORY_SNAPSHOT_DATES_PROPERTY, JSON.stringify(dates));
+  Logger.log(
+    "Inventory snapshot %s on %s: %s rows",
+    endpoint.name,
+    today,
+    rows.length
+  );
+}
+
+/**
+ * Snapshot after collecting an endpoint; failures only log.
+ */
+function captureInventorySnapshotAfterRun(ctx, endpoint) {
+  try {
+    captureInventorySnapshot(ctx, endpoint);
+  } catch (e) {
+    Logger.log(
+      "Warning: inventory snapshot failed for %s: %s",
+      endpoint.name,
+      e.toString()
+    );
+  }
+}
+
+/**
+ * VM maps (see buildVmMaps) to enrich rows of ctx.billingDate: live data for today and yesterday,
+ * otherwise the site's snapshot closest to the date, or live data when the site has none.
+ * `resourceUuids` limits the live lookup (see fetchVmMaps).
+ */
+function fetchVmMapsForDate(ctx, endpoint, resourceUuids) {
+  var today = Utilities.formatDate(new Date(), "Asia/Jakarta", "yyyy-MM-dd");
+  if (ctx.billingDate >= addDaysToIsoDate(today, -1))
+    return fetchVmMaps(endpoint, resourceUuids);
+  var cache = endpoint.cache;
+  if (!cache.vmMapsByDate.hasOwnProperty(ctx.billingDate)) {
+    var snapshot = loadClosestInventorySnapshot(endpoint.name, ctx.billingDate);
+    if (snapshot)
+      Logger.log(
+        "Enriching %s/%s with the inventory snapshot of %s",
+        endpoint.name,
+        ctx.billingDate,
+        snapshot.date
+      );
+    else
+      Logger.log(
+        "No inventory snapshot for %s; enriching %s with live data",
+        endpoint.name,
+        ctx.billingDate
+      );
+    cache.vmMapsByDate[ctx.billingDate] = snapshot
+      ? buildVmMaps(snapshot.inventories, snapshot.volumes)
+      : null;
+  }
+  return (
+    cache.vmMapsByDate[ctx.billingDate] || fetchVmMaps(endpoint, resourceUuids)
+  );
+}
+
+/**
+ * The site's snapshot closest to billingDate (a later one wins a tie: the run collecting a day
+ * happens the day after), as { date, inventories, volumes }, or null.
+ */
+function loadClosestInventorySnapshot(site, billingDate) {
+  var t = getInventorySnapshotTable();
+  try {
+    BigQuery.Tables.get(t.projectId, t.datasetId, t.tableId);
+  } catch (e) {
+    return null;
+  }
+  var table = "`" + t.projectId + "." + t.datasetId + "." + t.tableId + "`";
+  var rows = queryBQRows(
+    t.projectId,
+    "SELECT CAST(snapshot_date AS STRING) AS snapshot_date, record_type, vm_uuid, vm_name, state," +
+      " cpu_num, memory_size, hypervisor_type, host_uuid, cluster_uuid, zone_uuid, volume_uuid," +
+      " volume_name, volume_type, primary_storage_uuid, volume_status, size, actual_size FROM " +
+      table +
+      " WHERE site = " +
+      bqQuote(site) +
+      " AND snapshot_date = (SELECT snapshot_date FROM " +
+      table +
+      " WHERE site = " +
+      bqQuote(site) +
+      " GROUP BY snapshot_date ORDER BY ABS(DATE_DIFF(snapshot_date, DATE " +
+      bqQuote(billingDate) +
+      ", DAY)), snapshot_date DESC LIMIT 1)"
+  );
+  if (!rows.length) return null;
+  var parsed = inventoriesFromSnapshotRows(rows);
+  return {
+    date: rows[0].snapshot_date,
+    inventories: parsed.inventories,
+    volumes: parsed.volumes,
+  };
+}
+
+function getInventorySnapshotTable() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    projectId: props.getProperty("BQ_PROJECT") || "",
+    datasetId: props.getProperty("BQ_DATASET") || "",
+    tableId:
+      props.getProperty("BQ_INVENTORY_SNAPSHOT_TABLE") ||
+      (props.getProperty("BQ_TABLE") || "") + "_inventory_snapshots",
+  };
+}
@@ -0,0 +1,464 @@
+/**
+ * Monthly invoices per account, built from the billing table.
+ * `generateInvoicesForMonth("YYYY-MM")` groups the month's rows per (site, account) into line items
+ * (per resource, spending type, inventory type and unit price), applies tax, renders a numbered
+ * invoice document to Drive and records it in BigQuery:
+ *  - BQ_INVOICE_TABLE (default `<BQ_TABLE>_invoices`): one header row per invoice revision
+ *  - BQ_INVOICE_LINES_TABLE (default `<BQ_TABLE>_invoice_lines`): its line items
+ * Invoices are never overwritten: regenerating an issued invoice whose content changed adds a
+ * revision with the same number; unchanged invoices are left as they are.
+ * Script Properties: INVOICE_TAX_NAME (default "PPN"), INVOICE_TAX_RATE (percent, default 11),
+ * INVOICE_CURRENCY (default "IDR"), INVOICE_DECIMALS (default 2), INVOICE_NUMBER_PREFIX (default "INV"),
+ * INVOICE_FORMAT ("pdf" default, or "html"), INVOICE_DRIVE_FOLDER_ID (default: My Drive root),
+ * INVOICE_ISSUER (name printed on the invoice).
+ * Amounts are in the billing currency of the account's rows (cost_billing, see Currency.js);
+ * INVOICE_CURRENCY applies to rows collected before currency support. Contract discounts and prepaid
+ * credits (see Pricing.js) are deducted as their own lines before tax.
+ */
+var BQ_INVOICE_FIELDS = [
+  { name: "invoice_number", type: "STRING" },
+  { name: "revision", type: "INTEGER" },
+  { name: "invoice_month", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "currency", type: "STRING" },
+  { name: "subtotal", type: "FLOAT" },
+  { name: "tax_name", type: "STRING" },
+  { name: "tax_rate", type: "FLOAT" },
+  { name: "tax_amount", type: "FLOAT" },
+  { name: "total", type: "FLOAT" },
+  { name: "line_count", type: "INTEGER" },
+  { name: "content_hash", type: "STRING" },
+  { name: "document_id", type: "STRING" },
+  { name: "document_url", type: "STRING" },
+  { name: "issued_at", type: "TIMESTAMP" },
+  { name: "issued_by", type: "STRING" },
+];
+
+var BQ_INVOICE_LINE_FIELDS = [
+  { name: "invoice_number", type: "STRING" },
+  { name: "revision", type: "INTEGER" },
+  { name: "invoice_month", type: "DATE" },
+  { name: "line_no", type: "INTEGER" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "resource_id", type: "STRING" },
+  { name: "resource_name", type: "STRING" },
+  { name: "inventory_type", type: "STRING" },
+  { name: "quantity", type: "FLOAT" },
+  { name: "unit", type: "STRING" },
+  { name: "unit_price", type: "FLOAT" },
+  { name: "amount", type: "FLOAT" },
+];
+
+/**
+ * Generate (or revise) the invoices of a month.
+ * `options`: { site, accountUuid } to limit the accounts. Returns one entry per account:
+ * { invoiceNumber, revision, status ("issued" | "revised" | "unchanged"), total, documentUrl }.
+ */
+function generateInvoicesForMonth(yearMonth, options) {
+  if (!/^\d{4}-\d{2}$/.test(yearMonth || ""))
+    throw new Error("yearMonth must be provided in YYYY-MM format");
+  options = options || {};
+  var cfg = getInvoiceConfig();
+  var month = yearMonth + "-01";
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000))
+    throw new Error("Another execution is generating invoices");
+  try {
+    ensureBQTableWithSchema(cfg.projectId, cfg.datasetId, cfg.invoiceTable, {
+      friendlyName: "ZStack invoices",
+      description: "Invoice headers, one row per invoice revision",
+      fields: BQ_INVOICE_FIELDS,
+      partitionField: "invoice_month",
+    });
+    ensureBQTableWithSchema(cfg.projectId, cfg.datasetId, cfg.linesTable, {
+      friendlyName: "ZStack invoice lines",
+      description: "Invoice line items per invoice revision",
+      fields: BQ_INVOICE_LINE_FIELDS,
+      partitionField: "invoice_month",
+    });
+
+    // amounts and unit prices in the rows' billing currency (rows collected before currency
+    // support have none and are taken as INVOICE_CURRENCY)
+    var lineRows = queryBQRows(
+      cfg.projectId,
+      "SELECT site, account_id, spending_type, resource_id, ANY_VALUE(resource_name) AS resource_name," +
+        " inventory_type, unit, unit_price, currency, SUM(quantity) AS quantity, SUM(amount) AS amount," +
+        " SUM(discount) AS discount, SUM(credit) AS credit, COUNTIF(unconverted) AS unconverted FROM (SELECT IFNULL(site, " +
+        bqQuote(DEFAULT_ZSTACK_SITE) +
+        ") AS site, account_id, spending_type, resource_id, resource_name, inventory_type," +
+        " resource_unit AS unit, unit_price * IFNULL(fx_rate, 1) AS unit_price," +
+        " IFNULL(billing_currency, " +
+        bqQuote(cfg.currency) +
+        ") AS currency, resource_used AS quantity," +
+        " IF(billing_currency IS NULL, cost, cost_billing) AS amount," +
+        " IFNULL(discount_amount, 0) AS discount, IFNULL(credit_applied, 0) AS credit," +
+        " billing_currency IS NOT NULL AND cost_billing IS NULL AS unconverted FROM `" +
+        cfg.projectId +
+        "." +
+        cfg.datasetId +
+        "." +
+        cfg.tableId +
+        "` WHERE DATE_TRUNC(billing_date, MONTH) = DATE " +
+        bqQuote(month) +
+        bqScopeCondition(options) +
+        ") GROUP BY site, account_id, spending_type, resource_id, inventory_type, unit, unit_price, currency" +
+        " ORDER BY site, account_id, spending_type, resource_name, inventory_type, unit_price"
+    );
+    assertInvoiceRowsConverted(lineRows);
+    var existing = {};
+    queryBQRows(
+      cfg.projectId,
+      "SELECT invoice_number, revision, site, account_id, content_hash FROM `" +
+        cfg.projectId +
+        "." +
+        cfg.datasetId +
+        "." +
+        cfg.invoiceTable +
+        "` WHERE invoice_month = DATE " +
+        bqQuote(month) +
+        " ORDER BY revision"
+    ).forEach(function (h) {
+      existing[h.site + "|" + h.account_id] = h; // latest revision wins
+    });
+    var nextSeq = Object.keys(existing).length + 1;
+
+    var byAccount = {};
+    lineRows.forEach(function (r) {
+      var k = r.site + "|" + r.account_id;
+      (byAccount[k] = byAccount[k] || []).push(r);
+    });
+
+    return Object.keys(byAccount).map(function (k) {
+      var lines = byAccount[k];
+      var invoice = buildInvoice(yearMonth, lines, cfg);
+      var prior = existing[k];
+      if (prior && prior.content_hash === invoice.contentHash) {
+        return {
+          site: invoice.site,
+          accountUuid: invoice.accountUuid,
+          invoiceNumber: prior.invoice_number,
+          revision: prior.revision,
+          status: "unchanged",
+          total: invoice.total,
+        };
+      }
+      invoice.number = prior
+        ? prior.invoice_number
+        : formatInvoiceNumber(cfg.numberPrefix, yearMonth, nextSeq++);
+      invoice.revision = prior ? prior.revision + 1 : 0;
+
+      var doc = renderInvoiceDocument(invoice, cfg);
+      var issuedAt = new Date().toISOString();
+      loadRowsToBQ(cfg.projectId, cfg.datasetId, cfg.invoiceTable, [
+        {
+          json: {
+            invoice_number: invoice.number,
+            revision: invoice.revision,
+            invoice_month: month,
+            site: invoice.site,
+            account_id: invoice.accountUuid,
+            currency: invoice.currency,
+            subtotal: invoice.subtotal,
+            tax_name: cfg.taxName,
+            tax_rate: cfg.taxRate,
+            tax_amount: invoice.taxAmount,
+            total: invoice.total,
+            line_count: invoice.lines.length,
+            content_hash: invoice.contentHash,
+            document_id: doc.id,
+            document_url: doc.url,
+            issued_at: issuedAt,
+            issued_by: Session.getEffectiveUser().getEmail() || null,
+          },
+        },
+      ]);
+      loadRowsToBQ(
+        cfg.projectId,
+        cfg.datasetId,
+        cfg.linesTable,
+        invoice.lines.map(function (l) {
+          return {
+            json: Object.assign(
+              {
+                invoice_number: invoice.number,
+                revision: invoice.revision,
+                invoice_month: month,
+                site: invoice.site,
+                account_id: invoice.accountUuid,
+              },
+              l
+            ),
+          };
+        })
+      );
+      Logger.log(
+        "Invoice %s rev %s for %s/%s: total %s",
+        invoice.number,
+        invoice.revision,
+        invoice.site,
+        invoice.accountUuid,
+        invoice.total
+      );
+      return {
+        site: invoice.site,
+        accountUuid: invoice.accountUuid,
+        invoiceNumber: invoice.number,
+        revision: invoice.revision,
+        status: prior ? "revised" : "issued",
+        total: invoice.total,
+        documentUrl: doc.url,
+      };
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getInvoiceConfig() {
+  var props = PropertiesService.getScriptProperties();
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  var cfg = {
+    projectId: props.getProperty("BQ_PROJECT") || "",
+    datasetId: props.getProperty("BQ_DATASET") || "",
+    tableId: tableId,
+    invoiceTable:
+      props.getProperty("BQ_INVOICE_TABLE") || tableId + "_invoices",
+    linesTable:
+      props.getProperty("BQ_INVOICE_LINES_TABLE") || tableId + "_invoice_lines",
+    taxName: props.getProperty("INVOICE_TAX_NAME") || "PPN",
+    taxRate: Number(props.getProperty("INVOICE_TAX_RATE") || "11"),
+    currency: props.getProperty("INVOICE_CURRENCY") || "IDR",
+    decimals: parseInt(props.getProperty("INVOICE_DECIMALS") || "2", 10),
+    numberPrefix: props.getProperty("INVOICE_NUMBER_PREFIX") || "INV",
+    format: (props.getProperty("INVOICE_FORMAT") || "pdf").toLowerCase(),
+    folderId: props.getProperty("INVOICE_DRIVE_FOLDER_ID") || null,
+    issuer: props.getProperty("INVOICE_ISSUER") || "",
+  };
+  if (!cfg.projectId || !cfg.datasetId || !cfg.tableId)
+    throw new Error(
+      "Set BQ_PROJECT, BQ_DATASET, BQ_TABLE in Script Properties"
+    );
+  if (["pdf", "html"].indexOf(cfg.format) === -1)
+    throw new Error("Unsupported INVOICE_FORMAT: " + cfg.format);
+  return cfg;
+}
+
+/**
+ * Turn the aggregated rows of one account into an invoice (amounts rounded per line).
+ * Pure function; `lineRows`: [{ site, account_id, spending_type, resource_id, resource_name,
+ * inventory_type, unit, unit_price, currency, quantity, amount, discount, credit }].
+ */
+function buildInvoice(yearMonth, lineRows, cfg) {
+  var round = function (v) {
+    var f = Math.pow(10, cfg.decimals);
+    return Math.round(Number(v || 0) * f) / f;
+  };
+  var lines = lineRows.map(function (r, i) {
+    return {
+      line_no: i + 1,
+      spending_type: r.spending_type || null,
+      resource_id: r.resource_id || null,
+      resource_name: r.resource_name || null,
+      inventory_type: r.inventory_type || null,
+      quantity:
+        r.quantity === null || r.quantity === undefined
+          ? null
+          : Number(r.quantity),
+      unit: r.unit || null,
+      unit_price:
+        r.unit_price === null || r.unit_price === undefined
+          ? null
+          : Number(r.unit_price),
+      amount: round(r.amount),
+    };
+  });
+  [
+    ["discount", "Discounts"],
+    ["credit", "Prepaid credit"],
+  ].forEach(function (d) {
+    var amount = round(
+      lineRows.reduce(function (sum, r) {
+        return sum + Number(r[d[0]] || 0);
+      }, 0)
+    );
+    if (!amount) return;
+    lines.push({
+      line_no: lines.length + 1,
+      spending_type: null,
+      resource_id: null,
+      resource_name: d[1],
+      inventory_type: d[0],
+      quantity: null,
+      unit: null,
+      unit_price: null,
+      amount: -amount,
+    });
+  });
+  var subtotal = round(
+    lines.reduce(function (sum, l) {
+      return sum + l.amount;
+    }, 0)
+  );
+  var taxAmount = round((subtotal * cfg.taxRate) / 100);
+  var invoice = {
+    yearMonth: yearMonth,
+    site: lineRows[0].site,
+    accountUuid: lineRows[0].account_id,
+    currency: lineRows[0].currency || cfg.currency,
+    lines: lines,
+    subtotal: subtotal,
+    taxAmount: taxAmount,
+    total: round(subtotal + taxAmount),
+  };
+  invoice.contentHash = sha256Hex(
+    JSON.stringify([
+      lines,
+      subtotal,
+      cfg.taxName,
+      cfg.taxRate,
+      invoice.currency,
+    ])
+  );
+  return invoice;
+}
+
+/**
+ * Refuse to invoice accounts whose rows lack a converted cost (no FX rate when they were collected)
+ * or mix billing currencies within the month; add the rate / fix the setting and re-collect first.
+ */
+function assertInvoiceRowsConverted(lineRows) {
+  var problems = {};
+  var currencies = {};
+  lineRows.forEach(function (r) {
+    var k = r.site + "/" + r.account_id;
+    if (Number(r.unconverted || 0) > 0)
+      problems[k] = "rows without an FX-converted cost";
+    if (currencies[k] && currencies[k] !== r.currency)
+      problems[k] = "more than one billing currency";
+    currencies[k] = r.currency;
+  });
+  var keys = Object.keys(problems);
+  if (keys.length)
+    throw new Error(
+      "Cannot invoice " +
+        keys
+          .map(function (k) {
+            return k + " (" + problems[k] + ")";
+          })
+          .join(", ")
+    );
+}
+
+function formatInvoiceNumber(prefix, yearMonth, seq) {
+  var s = String(seq);
+  while (s.length < 4) s = "0" + s;
+  return prefix + "/" + yearMonth.replace("-", "/") + "/" + s;
+}
+
+/**
+ * Render the invoice as HTML and store it in Drive (converted to PDF unless INVOICE_FORMAT=html).
+ * Returns { id, url }.
+ */
+function renderInvoiceDocument(invoice, cfg) {
+  var esc = function (v) {
+    return String(v === null || v === undefined ? "" : v)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  };
+  var num = function (v) {
+    return v === null || v === undefined
+      ? ""
+      : Number(v).toLocaleString("en-US", {
+          minimumFractionDigits: cfg.decimals,
+          maximumFractionDigits: cfg.decimals,
+        });
+  };
+  var title =
+    invoice.number +
+    (invoice.revision ? " (rev. " + invoice.revision + ")" : "");
+  var html =
+    "<html><head><meta charset='utf-8'><style>" +
+    "body{font-family:Arial,sans-serif;font-size:11px}" +
+    "table{border-collapse:collapse;width:100%}" +
+    "td,th{border:1px solid #999;padding:3px}td.n{text-align:right}" +
+    "</style></head><body>" +
+    "<h2>Invoice " +
+    esc(title) +
+    "</h2>" +
+    (cfg.issuer ? "<p>" + esc(cfg.issuer) + "</p>" : "") +
+    "<p>Period: " +
+    esc(invoice.yearMonth) +
+    "<br>Site: " +
+    esc(invoice.site) +
+    "<br>Account: " +
+    esc(invoice.accountUuid) +
+    "<br>Currency: " +
+    esc(invoice.currency) +
+    "</p><table><tr><th>#</th><th>Type</th><th>Resource</th><th>Item</th>" +
+    "<th>Quantity</th><th>Unit</th><th>Unit price</th><th>Amount</th></tr>" +
+    invoice.lines
+      .map(function (l) {
+        return (
+          "<tr><td>" +
+          l.line_no +
+          "</td><td>" +
+          esc(l.spending_type) +
+          "</td><td>" +
+          esc(l.resource_name || l.resource_id) +
+          "</td><td>" +
+          esc(l.inventory_type) +
+          "</td><td class='n'>" +
+          num(l.quantity) +
+          "</td><td>" +
+          esc(l.unit) +
+          "</td><td class='n'>" +
+          num(l.unit_price) +
+          "</td><td class='n'>" +
+          num(l.amount) +
+          "</td></tr>"
+        );
+      })
+      .join("") +
+    "<tr><td colspan='7'>Subtotal</td><td class='n'>" +
+    num(invoice.subtotal) +
+    "</td></tr><tr><td colspan='7'>" +
+    esc(cfg.taxName) +
+    " " +
+    cfg.taxRate +
+    "%</td><td class='n'>" +
+    num(invoice.taxAmount) +
+    "</td></tr><tr><th colspan='7'>Total</th><th class='n'>" +
+    num(invoice.total) +
+    "</th></tr></table></body></html>";
+
+  var name =
+    title.replace(/\//g, "-") + "_" + invoice.site + "_" + invoice.accountUuid;
+  var blob = Utilities.newBlob(html, "text/html", name + ".html");
+  if (cfg.format === "pdf")
+    blob = blob.getAs("application/pdf").setName(name + ".pdf");
+  var folder = cfg.folderId
+    ? DriveApp.getFolderById(cfg.folderId)
+    : DriveApp.getRootFolder();
+  var file = folder.createFile(blob);
+  return { id: file.getId(), url: file.getUrl() };
+}
+
+function sha256Hex(str) {
+  var digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    str,
+    Utilities.Charset.UTF_8
+  );
+  var out = "";
+  for (var i = 0; i < digest.length; i++) {
+    var h = (digest[i] < 0 ? digest[i] + 256 : digest[i]).toString(16);
+    if (h.length === 1) h = "0" + h;
+    out += h;
+  }
+  return out;
+}
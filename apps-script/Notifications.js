@@ -0,0 +1,310 @@
+/**
+ * Notifications for failed and degraded collection runs, by email (MailApp) and chat webhooks.
+ * Script Properties:
+ *  - NOTIFY_EMAILS: comma-separated recipients
+ *  - NOTIFY_WEBHOOKS: JSON array of { url, format ("text" default: Google Chat / Slack `{ text }`,
+ *    or "json": the event itself), minSeverity }, or a comma-separated list of URLs
+ *  - NOTIFY_MIN_SEVERITY (default "warning"): events below it are dropped
+ *  - NOTIFY_DEDUP_HOURS (default 24): an event with the same key is sent at most once in this window.
+ *    NOTIFY_SENT keeps a hash of each key sent within the window, at most NOTIFY_SENT_MAX_ENTRIES
+ *    (the newest), so the property stays within the 9 KB limit however many accounts report.
+ *  - NOTIFY_DIGEST ("true" to enable): events below "error" are queued for sendNotificationDigest()
+ *    instead of being sent immediately. The queue keeps the newest events within
+ *    NOTIFY_DIGEST_MAX_CHARS (a Script Property holds 9 KB); older ones are counted as dropped.
+ */
+var NOTIFY_SEVERITIES = ["info", "warning", "error", "critical"];
+var NOTIFY_SENT_PROPERTY = "NOTIFY_SENT";
+var NOTIFY_SENT_MAX_ENTRIES = 200;
+var NOTIFY_DIGEST_PROPERTY = "NOTIFY_DIGEST_QUEUE";
+var NOTIFY_DIGEST_DROPPED_PROPERTY = "NOTIFY_DIGEST_DROPPED";
+var NOTIFY_DIGEST_MAX_CHARS = 8000;
+var NOTIFY_DIGEST_HANDLER = "sendNotificationDigest";
+
+/**
+ * Send an event: { severity, title, message, key }. `key` identifies the condition for
+ * de-duplication (defaults to the title). Returns "sent", "queued", "duplicate", "filtered",
+ * "no_channels" or "failed". Delivery failures are logged and never thrown; an event no channel
+ * accepted is not recorded as sent, so the next run tries again.
+ */
+function notify(event) {
+  var config = getNotifyConfig();
+  var severity = event.severity || "warning";
+  if (severityRank(severity) < severityRank(config.minSeverity))
+    return "filtered";
+  if (!config.emails.length && !config.webhooks.length) return "no_channels";
+
+  // Script Properties only: a script lock here would be released under a caller holding it (backfill)
+  var key = sha256Hex(severity + "|" + (event.key || event.title)).slice(0, 16);
+  var sent = loadNotifyProperty(NOTIFY_SENT_PROPERTY, {});
+  var now = Date.now();
+  var windowMs = config.dedupHours * 3600 * 1000;
+  Object.keys(sent).forEach(function (k) {
+    if (now - sent[k] >= windowMs) delete sent[k];
+  });
+  if (sent[key]) return "duplicate";
+
+  var status = "sent";
+  if (config.digest && severityRank(severity) < severityRank("error")) {
+    queueNotifyDigest({
+      severity: severity,
+      title: event.title,
+      message: truncateNotifyText(event.message, 1000),
+      at: new Date(now).toISOString(),
+    });
+    status = "queued";
+  } else if (
+    !deliverNotification(config, {
+      severity: severity,
+      title: event.title,
+      message: event.message,
+    })
+  ) {
+    return "failed";
+  }
+  sent[key] = now;
+  saveNotifyProperty(NOTIFY_SENT_PROPERTY, newestNotifySent(sent));
+  return status;
+}
+
+/**
+ * The NOTIFY_SENT_MAX_ENTRIES most recently sent keys of a de-duplication map.
+ */
+function newestNotifySent(sent) {
+  var keys = Object.keys(sent).sort(function (a, b) {
+    return sent[b] - sent[a];
+  });
+  var out = {};
+  keys.slice(0, NOTIFY_SENT_MAX_ENTRIES).forEach(function (k) {
+    out[k] = sent[k];
+  });
+  return out;
+}
+
+/**
+ * Append an event to the digest queue, dropping the oldest ones while the queue exceeds
+ * NOTIFY_DIGEST_MAX_CHARS.
+ */
+function queueNotifyDigest(entry) {
+  var queue = loadNotifyProperty(NOTIFY_DIGEST_PROPERTY, []);
+  queue.push(entry);
+  var dropped = 0;
+  while (
+    queue.length > 1 &&
+    JSON.stringify(queue).length > NOTIFY_DIGEST_MAX_CHARS
+  ) {
+    queue.shift();
+    dropped++;
+  }
+  saveNotifyProperty(NOTIFY_DIGEST_PROPERTY, queue);
+  if (dropped)
+    saveNotifyProperty(
+      NOTIFY_DIGEST_DROPPED_PROPERTY,
+      loadNotifyProperty(NOTIFY_DIGEST_DROPPED_PROPERTY, 0) + dropped
+    );
+}
+
+/**
+ * Send the queued events as one message and empty the queue once a channel accepted it. Meant for a
+ * daily trigger (see createDailyNotificationDigestTrigger).
+ */
+function sendNotificationDigest() {
+  var config = getNotifyConfig();
+  var queue = loadNotifyProperty(NOTIFY_DIGEST_PROPERTY, []);
+  var dropped = loadNotifyProperty(NOTIFY_DIGEST_DROPPED_PROPERTY, 0);
+  if (!queue.length) return { sent: 0 };
+
+  var worst = "info";
+  queue.forEach(function (e) {
+    if (severityRank(e.severity) > severityRank(worst)) worst = e.severity;
+  });
+  var delivered = deliverNotification(config, {
+    severity: worst,
+    title: "ZStack billing digest: " + queue.length + " event(s)",
+    message:
+      (dropped ? dropped + " older event(s) dropped from the queue\n\n" : "") +
+      queue
+        .map(function (e) {
+          return (
+            e.at +
+            " [" +
+            e.severity.toUpperCase() +
+            "] " +
+            e.title +
+            (e.message ? "\n" + e.message : "")
+          );
+        })
+        .join("\n\n"),
+  });
+  if (!delivered) return { sent: 0, failed: queue.length };
+  var props = PropertiesService.getScriptProperties();
+  props.deleteProperty(NOTIFY_DIGEST_PROPERTY);
+  props.deleteProperty(NOTIFY_DIGEST_DROPPED_PROPERTY);
+  return { sent: queue.length, dropped: dropped };
+}
+
+function createDailyNotificationDigestTrigger() {
+  ScriptApp.newTrigger(NOTIFY_DIGEST_HANDLER)
+    .timeBased()
+    .atHour(7)
+    .everyDays(1)
+    .create();
+  return "Created daily notification digest trigger (atHour(7) everyDays(1)).";
+}
+
+/**
+ * Turn the outcome of a collection run into notifications: a thrown run or failed accounts are
+ * errors, warnings (price/VM fetch failed, reconciliation mismatch) are warnings.
+ * Keys leave out the billing date so the hourly trigger and backfills repeating the same problem
+ * notify once per de-duplication window.
+ */
+function notifyCollectorRun(run, out, err) {
+  if (run.dryRun) return;
+  try {
+    if (err) {
+      notify({
+        severity: "error",
+        title: "ZStack billing collection failed for " + run.billingDate,
+        message:
+          err.toString() +
+          "\nrun_id: " +
+          run.runId +
+          "\ntrigger: " +
+          run.trigger,
+        key: "run_failed|" + normalizeNotifyKey(err.toString()),
+      });
+      return;
+    }
+    (out.accounts || []).forEach(function (a) {
+      var who = a.site + "/" + (a.accountUuid || "*");
+      if (!a.ok) {
+        notify({
+          severity: "error",
+          title: "ZStack billing failed for " + who + " on " + run.billingDate,
+          message: a.error + "\nrun_id: " + run.runId,
+          key: "account_failed|" + who + "|" + normalizeNotifyKey(a.error),
+        });
+      } else if (a.warnings && a.warnings.length) {
+        notify({
+          severity: "warning",
+          title:
+            "ZStack billing degraded for " + who + " on " + run.billingDate,
+          message: a.warnings.join("\n") + "\nrun_id: " + run.runId,
+          key:
+            "account_warning|" +
+            who +
+            "|" +
+            normalizeNotifyKey(a.warnings.join("|")),
+        });
+      }
+    });
+  } catch (e) {
+    Logger.log("Warning: failed to send notifications: %s", e.toString());
+  }
+}
+
+function getNotifyConfig() {
+  var props = PropertiesService.getScriptProperties();
+  var rawHooks = (props.getProperty("NOTIFY_WEBHOOKS") || "").trim();
+  var webhooks = [];
+  if (rawHooks.charAt(0) === "[") {
+    webhooks = JSON.parse(rawHooks).map(function (h) {
+      return typeof h === "string" ? { url: h } : h;
+    });
+  } else if (rawHooks) {
+    webhooks = parseListProperty(rawHooks).map(function (url) {
+      return { url: url };
+    });
+  }
+  var minSeverity = (
+    props.getProperty("NOTIFY_MIN_SEVERITY") || "warning"
+  ).toLowerCase();
+  if (NOTIFY_SEVERITIES.indexOf(minSeverity) === -1)
+    throw new Error("Unsupported NOTIFY_MIN_SEVERITY: " + minSeverity);
+  return {
+    emails: parseListProperty(props.getProperty("NOTIFY_EMAILS")),
+    webhooks: webhooks,
+    minSeverity: minSeverity,
+    dedupHours: Number(props.getProperty("NOTIFY_DEDUP_HOURS") || "24"),
+    digest: String(props.getProperty("NOTIFY_DIGEST") || "false") === "true",
+  };
+}
+
+/**
+ * Send an event to every channel. Returns true when at least one channel accepted it.
+ */
+function deliverNotification(config, event) {
+  var subject = "[" + event.severity.toUpperCase() + "] " + event.title;
+  var delivered = false;
+  if (config.emails.length) {
+    try {
+      MailApp.sendEmail({
+        to: config.emails.join(","),
+        subject: subject,
+        body: event.message || "",
+      });
+      delivered = true;
+    } catch (e) {
+      Logger.log("Notification email failed: %s", e.toString());
+    }
+  }
+  config.webhooks.forEach(function (hook) {
+    if (
+      hook.minSeverity &&
+      severityRank(event.severity) < severityRank(hook.minSeverity)
+    )
+      return;
+    var body =
+      hook.format === "json"
+        ? event
+        : { text: "*" + subject + "*\n" + (event.message || "") };
+    try {
+      var resp = UrlFetchApp.fetch(hook.url, {
+        method: "post",
+        contentType: "application/json",
+        payload: JSON.stringify(body),
+        muteHttpExceptions: true,
+      });
+      if (resp.getResponseCode() >= 400)
+        Logger.log(
+          "Notification webhook returned %s: %s",
+          resp.getResponseCode(),
+          resp.getContentText()
+        );
+      else delivered = true;
+    } catch (e) {
+      Logger.log("Notification webhook failed: %s", e.toString());
+    }
+  });
+  return delivered;
+}
+
+function severityRank(severity) {
+  return NOTIFY_SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Drop volatile parts (uuids, numbers) so repeats of the same problem share a key.
+ */
+function normalizeNotifyKey(text) {
+  return String(text || "")
+    .replace(/[0-9a-f]{32}/gi, "#")
+    .replace(/\d+/g, "#")
+    .slice(0, 200);
+}
+
+function truncateNotifyText(text, max) {
+  text = String(text || "");
+  return text.length > max ? text.slice(0, max) + "..." : text;
+}
+
+function loadNotifyProperty(name, fallback) {
+  var raw = PropertiesService.getScriptProperties().getProperty(name);
+  return raw ? JSON.parse(raw) : fallback;
+}
+
+function saveNotifyProperty(name, value) {
+  PropertiesService.getScriptProperties().setProperty(
+    name,
+    JSON.stringify(value)
+  );
+}
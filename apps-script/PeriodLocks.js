@@ -0,0 +1,301 @@
+/**
+ * Closed-period locking.
+ * Once a month (or any date range) is billed it can be closed, for every account or for one
+ * site/account. `replaceRowsForDate` refuses to rewrite closed dates; a collection that finds different
+ * data for a closed date records the difference in the adjustments table instead
+ * (BQ_ADJUSTMENTS_TABLE, default `<BQ_TABLE>_adjustments`) and leaves the billed rows untouched.
+ * An explicit override (options.overrideClosedPeriod: "<reason>") rewrites the rows anyway and is logged.
+ * Closes, reopens and overrides are appended to BQ_PERIOD_LOCKS_TABLE (default `<BQ_TABLE>_period_locks`).
+ */
+var BQ_PERIOD_LOCK_FIELDS = [
+  { name: "lock_id", type: "STRING" },
+  { name: "action", type: "STRING" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "start_date", type: "DATE" },
+  { name: "end_date", type: "DATE" },
+  { name: "billing_date", type: "DATE" },
+  { name: "reason", type: "STRING" },
+  { name: "run_id", type: "STRING" },
+  { name: "actor", type: "STRING" },
+  { name: "created_at", type: "TIMESTAMP" },
+];
+
+var BQ_ADJUSTMENT_FIELDS = [
+  { name: "billing_date", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "resource_id", type: "STRING" },
+  { name: "resource_name", type: "STRING" },
+  { name: "spending_type", type: "STRING" },
+  { name: "inventory_type", type: "STRING" },
+  { name: "date_start_ms", type: "INTEGER" },
+  { name: "date_end_ms", type: "INTEGER" },
+  { name: "kind", type: "STRING" },
+  { name: "old_cost", type: "FLOAT" },
+  { name: "new_cost", type: "FLOAT" },
+  { name: "delta", type: "FLOAT" },
+  { name: "lock_id", type: "STRING" },
+  { name: "run_id", type: "STRING" },
+  { name: "created_at", type: "TIMESTAMP" },
+];
+
+/**
+ * Close billing dates startDate..endDate (inclusive, YYYY-MM-DD).
+ * `options`: { site, accountUuid (both optional: omitted means every site/account), reason }.
+ * Returns the lock id.
+ */
+function closeBillingPeriod(startDate, endDate, options) {
+  options = options || {};
+  if (!isIsoDate(startDate) || !isIsoDate(endDate))
+    throw new Error("startDate and endDate must be provided as YYYY-MM-DD");
+  if (startDate > endDate)
+    throw new Error("startDate must not be after endDate");
+  var lockId = Utilities.getUuid();
+  appendPeriodLockRecord({
+    lock_id: lockId,
+    action: "close",
+    site: options.site || null,
+    account_id: options.accountUuid || null,
+    start_date: startDate,
+    end_date: endDate,
+    reason: options.reason || null,
+  });
+  Logger.log(
+    "Closed billing period %s..%s for %s/%s (lock %s)",
+    startDate,
+    endDate,
+    options.site || "*",
+    options.accountUuid || "*",
+    lockId
+  );
+  return lockId;
+}
+
+/**
+ * Close a whole month ("YYYY-MM"); `options` as for closeBillingPeriod.
+ */
+function closeBillingMonth(yearMonth, options) {
+  if (!/^\d{4}-\d{2}$/.test(yearMonth || ""))
+    throw new Error("yearMonth must be provided in YYYY-MM format");
+  var p = yearMonth.split("-");
+  var lastDay = new Date(Date.UTC(Number(p[0]), Number(p[1]), 0))
+    .toISOString()
+    .slice(0, 10);
+  return closeBillingPeriod(yearMonth + "-01", lastDay, options);
+}
+
+/**
+ * Reopen a closed period (lock ids from listClosedPeriods()).
+ */
+function reopenBillingPeriod(lockId, reason) {
+  if (!lockId) throw new Error("lockId is required");
+  var lock = listClosedPeriods().filter(function (l) {
+    return l.lock_id === lockId;
+  })[0];
+  if (!lock) throw new Error("No closed period with lock id " + lockId);
+  appendPeriodLockRecord({
+    lock_id: lockId,
+    action: "reopen",
+    site: lock.site,
+    account_id: lock.account_id,
+    start_date: lock.start_date,
+    end_date: lock.end_date,
+    reason: reason || null,
+  });
+  Logger.log("Reopened billing period lock %s", lockId);
+  return lockId;
+}
+
+/**
+ * Closed periods that have not been reopened: [{ lock_id, site, account_id, start_date, end_date, reason,
+ * actor, created_at }]. `billingDate` (optional) limits the list to locks covering that date.
+ */
+function listClosedPeriods(billingDate) {
+  var t = getPeriodLockTables();
+  try {
+    BigQuery.Tables.get(t.projectId, t.datasetId, t.locksTable);
+  } catch (e) {
+    return [];
+  }
+  var table = "`" + t.projectId + "." + t.datasetId + "." + t.locksTable + "`";
+  return queryBQRows(
+    t.projectId,
+    "SELECT c.lock_id, c.site, c.account_id, CAST(c.start_date AS STRING) AS start_date," +
+      " CAST(c.end_date AS STRING) AS end_date, c.reason, c.actor, c.created_at FROM " +
+      table +
+      " c WHERE c.action = 'close'" +
+      (billingDate
+        ? " AND DATE " +
+          bqQuote(billingDate) +
+          " BETWEEN c.start_date AND c.end_date"
+        : "") +
+      " AND NOT EXISTS (SELECT 1 FROM " +
+      table +
+      " r WHERE r.action = 'reopen' AND r.lock_id = c.lock_id)" +
+      " ORDER BY c.start_date"
+  );
+}
+
+/**
+ * The closed period covering billingDate within `scope` ({ site, accountUuid }), or null.
+ * Without a scope (a whole-partition replace) any lock on the date counts. `locks` (optional) is
+ * listClosedPeriods(billingDate) already loaded, so checking many accounts reads the locks once.
+ */
+function findClosedPeriod(billingDate, scope, locks) {
+  locks = locks || listClosedPeriods(billingDate);
+  for (var i = 0; i < locks.length; i++) {
+    var l = locks[i];
+    if (scope && scope.site && l.site && l.site !== scope.site) continue;
+    if (
+      scope &&
+      scope.accountUuid &&
+      l.account_id &&
+      l.account_id !== scope.accountUuid
+    )
+      continue;
+    return l;
+  }
+  return null;
+}
+
+/**
+ * Refuse to replace rows of a closed date (throws an Error carrying `periodLock`), unless `override`
+ * ({ reason, runId }) is given, in which case the override is recorded and the replace may proceed.
+ * `locks` (optional) as for findClosedPeriod.
+ */
+function assertPeriodOpen(billingDate, scope, override, locks) {
+  var lock = findClosedPeriod(billingDate, scope, locks);
+  if (!lock) return;
+  var who =
+    ((scope && scope.site) || "*") +
+    "/" +
+    ((scope && scope.accountUuid) || "*");
+  if (override && override.reason) {
+    Logger.log(
+      "Overriding closed period %s for %s on %s: %s",
+      lock.lock_id,
+      who,
+      billingDate,
+      override.reason
+    );
+    appendPeriodLockRecord({
+      lock_id: lock.lock_id,
+      action: "override",
+      site: (scope && scope.site) || null,
+      account_id: (scope && scope.accountUuid) || null,
+      start_date: lock.start_date,
+      end_date: lock.end_date,
+      billing_date: billingDate,
+      reason: override.reason,
+      run_id: override.runId || null,
+    });
+    return;
+  }
+  var err = new Error(
+    "Billing date " +
+      billingDate +
+      " is closed for " +
+      who +
+      " (lock " +
+      lock.lock_id +
+      "); pass overrideClosedPeriod with a reason to rewrite it"
+  );
+  err.periodLock = lock;
+  throw err;
+}
+
+/**
+ * Record how newly collected rows for a closed date differ from the billed rows, replacing earlier
+ * adjustments of the same date and scope. Returns the number of adjustment rows.
+ */
+function recordBillingAdjustments(ctx, scope, newRows, lock) {
+  var t = getPeriodLockTables();
+  var diff = diffBillingRows(newRows, fetchExistingBillingRows(ctx, [scope]));
+  var createdAt = new Date().toISOString();
+  var rows = [];
+  var add = function (r, kind, oldCost, newCost) {
+    rows.push({
+      json: {
+        billing_date: ctx.billingDate,
+        site: r.site,
+        account_id: r.account_id,
+        resource_id: r.resource_id,
+        resource_name: r.resource_name,
+        spending_type: r.spending_type,
+        inventory_type: r.inventory_type,
+        date_start_ms: r.date_start_ms,
+        date_end_ms: r.date_end_ms,
+        kind: kind,
+        old_cost: oldCost,
+        new_cost: newCost,
+        delta: newCost - oldCost,
+        lock_id: lock.lock_id,
+        run_id: ctx.runId || null,
+        created_at: createdAt,
+      },
+    });
+  };
+  diff.added.forEach(function (r) {
+    add(r, "added", 0, r.cost);
+  });
+  diff.removed.forEach(function (r) {
+    add(r, "removed", r.cost, 0);
+  });
+  diff.changed.forEach(function (c) {
+    add(c.row, "changed", c.old_cost, c.new_cost);
+  });
+
+  ensureBQTableWithSchema(t.projectId, t.datasetId, t.adjustmentsTable, {
+    friendlyName: "ZStack billing adjustments",
+    description: "Restatements of closed billing dates",
+    fields: BQ_ADJUSTMENT_FIELDS,
+    partitionField: "billing_date",
+  });
+  replaceBQRows(
+    t.projectId,
+    t.datasetId,
+    t.adjustmentsTable,
+    "billing_date = DATE " + bqQuote(ctx.billingDate) + bqScopeCondition(scope),
+    rows,
+    "replaceAdjustments"
+  );
+  Logger.log(
+    "Closed period %s: %s adjustment(s) recorded for %s/%s on %s",
+    lock.lock_id,
+    rows.length,
+    scope.site,
+    scope.accountUuid,
+    ctx.billingDate
+  );
+  return rows.length;
+}
+
+function getPeriodLockTables() {
+  var props = PropertiesService.getScriptProperties();
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  return {
+    projectId: props.getProperty("BQ_PROJECT") || "",
+    datasetId: props.getProperty("BQ_DATASET") || "",
+    locksTable:
+      props.getProperty("BQ_PERIOD_LOCKS_TABLE") || tableId + "_period_locks",
+    adjustmentsTable:
+      props.getProperty("BQ_ADJUSTMENTS_TABLE") || tableId + "_adjustments",
+  };
+}
+
+function appendPeriodLockRecord(record) {
+  var t = getPeriodLockTables();
+  if (!t.projectId || !t.datasetId)
+    throw new Error(
+      "Set BQ_PROJECT, BQ_DATASET, BQ_TABLE in Script Properties"
+    );
+  ensureBQTableWithSchema(t.projectId, t.datasetId, t.locksTable, {
+    friendlyName: "ZStack closed billing periods",
+    description: "Closed-period locks, reopens and overrides (append-only)",
+    fields: BQ_PERIOD_LOCK_FIELDS,
+  });
+  record.actor = Session.getEffectiveUser().getEmail() || null;
+  record.created_at = new Date().toISOString();
+  insertRowsToBQ(t.projectId, t.datasetId, t.locksTable, [{ json: record }]);
+}
@@ -0,0 +1,237 @@
+/**
+ * Price list history (slowly changing dimension, type 2).
+ * Each run compares ZStack's price inventories (`/billings/prices`, every price table, with the table
+ * name/description from `/billings/price-tables`) with the current versions in BQ_PRICES_TABLE
+ * (default `zstack_prices`, in BQ_DATASET). A new or changed price is appended as a new version
+ * (valid_from = when it was observed); the version it replaces, or a price that disappeared from ZStack,
+ * is closed (valid_to, is_current = false, closed_reason "changed" / "removed").
+ * Billing rows carry `price_uuid`; the version in effect for a row is the one whose
+ * [valid_from, valid_to) contains the row's collected_at.
+ */
+var BQ_PRICE_HISTORY_FIELDS = [
+  { name: "site", type: "STRING" },
+  { name: "price_uuid", type: "STRING" },
+  { name: "version", type: "INTEGER" },
+  { name: "table_uuid", type: "STRING" },
+  { name: "table_name", type: "STRING" },
+  { name: "table_description", type: "STRING" },
+  { name: "resource_name", type: "STRING" },
+  { name: "resource_unit", type: "STRING" },
+  { name: "time_unit", type: "STRING" },
+  { name: "price", type: "FLOAT" },
+  { name: "date_in_ms", type: "INTEGER" },
+  { name: "end_date_in_ms", type: "INTEGER" },
+  { name: "content_hash", type: "STRING" },
+  { name: "raw_json", type: "STRING" },
+  { name: "valid_from", type: "TIMESTAMP" },
+  { name: "valid_to", type: "TIMESTAMP" },
+  { name: "is_current", type: "BOOLEAN" },
+  { name: "closed_reason", type: "STRING" },
+  { name: "run_id", type: "STRING" },
+];
+
+/**
+ * Price table inventories of the endpoint ({ uuid, name, description }), cached per execution.
+ */
+function fetchPriceTables(endpoint) {
+  var cache = endpoint.cache;
+  if (cache.priceTables) return cache.priceTables;
+  cache.priceTables = queryZstack(endpoint, "/billings/price-tables", {
+    label: "price tables fetch",
+  });
+  return cache.priceTables;
+}
+
+/**
+ * Versions as observed now: one { site, price_uuid, table_uuid, table_name, table_description,
+ * resource_name, resource_unit, time_unit, price, date_in_ms, end_date_in_ms, content_hash, raw_json }
+ * per price inventory. Pure function.
+ */
+function buildPriceVersions(site, prices, tables) {
+  var tablesByUuid = {};
+  (tables || []).forEach(function (t) {
+    tablesByUuid[t.uuid] = t;
+  });
+  return (prices || []).map(function (p) {
+    var table = tablesByUuid[p.tableUuid] || {};
+    var v = {
+      site: site,
+      price_uuid: p.uuid,
+      table_uuid: p.tableUuid || null,
+      table_name: table.name || null,
+      table_description: table.description || null,
+      resource_name: p.resourceName || null,
+      resource_unit: p.resourceUnit || null,
+      time_unit: p.timeUnit || null,
+      price: p.price === undefined || p.price === null ? null : Number(p.price),
+      date_in_ms: p.dateInLong ? Number(p.dateInLong) : null,
+      end_date_in_ms: p.endDateInLong ? Number(p.endDateInLong) : null,
+    };
+    // lastOpDate changes without the price changing, so the hash covers the priced fields only
+    v.content_hash = sha256Hex(
+      JSON.stringify([
+        v.table_uuid,
+        v.table_name,
+        v.table_description,
+        v.resource_name,
+        v.resource_unit,
+        v.time_unit,
+        v.price,
+        v.date_in_ms,
+        v.end_date_in_ms,
+        p.pciDeviceOfferings || [],
+        p.bareMetal2VmOfferings || [],
+      ])
+    );
+    v.raw_json = JSON.stringify(p);
+    return v;
+  });
+}
+
+/**
+ * Compare observed versions with the current ones ({ price_uuid, version, content_hash }).
+ * Pure function; returns { added: [observed], changed: [observed + previous version], removed: [current] }.
+ */
+function diffPriceVersions(current, observed) {
+  var byUuid = {};
+  current.forEach(function (c) {
+    byUuid[c.price_uuid] = c;
+  });
+  var seen = {};
+  var out = { added: [], changed: [], removed: [] };
+  observed.forEach(function (o) {
+    seen[o.price_uuid] = true;
+    var c = byUuid[o.price_uuid];
+    if (!c) out.added.push(Object.assign({ version: 1 }, o));
+    else if (c.content_hash !== o.content_hash)
+      out.changed.push(Object.assign({ version: Number(c.version) + 1 }, o));
+  });
+  current.forEach(function (c) {
+    if (!seen[c.price_uuid]) out.removed.push(c);
+  });
+  return out;
+}
+
+/**
+ * Record price changes of one connected endpoint. Returns { added, changed, removed } counts.
+ */
+function syncPriceHistory(endpoint, runId) {
+  var t = getPriceHistoryTable();
+  if (!t.projectId || !t.datasetId)
+    throw new Error("Set BQ_PROJECT, BQ_DATASET in Script Properties");
+  ensureBQTableWithSchema(t.projectId, t.datasetId, t.tableId, {
+    friendlyName: "ZStack price history",
+    description: "Versioned ZStack price inventories (SCD type 2)",
+    fields: BQ_PRICE_HISTORY_FIELDS,
+  });
+  var table = "`" + t.projectId + "." + t.datasetId + "." + t.tableId + "`";
+  var site = endpoint.name;
+  var observed = buildPriceVersions(
+    site,
+    fetchPriceInventories(endpoint),
+    fetchPriceTables(endpoint)
+  );
+  var current = queryBQRows(
+    t.projectId,
+    "SELECT price_uuid, version, content_hash FROM " +
+      table +
+      " WHERE is_current AND site = " +
+      bqQuote(site)
+  );
+  var diff = diffPriceVersions(current, observed);
+  var now = new Date().toISOString();
+
+  var close = function (list, reason) {
+    if (!list.length) return;
+    runBQDmlWithRetry(
+      t.projectId,
+      "UPDATE " +
+        table +
+        " SET is_current = FALSE, valid_to = TIMESTAMP " +
+        bqQuote(now) +
+        ", closed_reason = " +
+        bqQuote(reason) +
+        " WHERE is_current AND site = " +
+        bqQuote(site) +
+        " AND price_uuid IN (" +
+        list
+          .map(function (v) {
+            return bqQuote(v.price_uuid);
+          })
+          .join(", ") +
+        ")",
+      "closePriceVersions"
+    );
+  };
+  close(diff.changed, "changed");
+  close(diff.removed, "removed");
+  var versions = diff.added.concat(diff.changed);
+  if (versions.length)
+    loadRowsToBQ(
+      t.projectId,
+      t.datasetId,
+      t.tableId,
+      versions.map(function (v) {
+        return {
+          json: Object.assign(
+            {
+              valid_from: now,
+              valid_to: null,
+              is_current: true,
+              closed_reason: null,
+              run_id: runId || null,
+            },
+            v
+          ),
+        };
+      })
+    );
+  if (versions.length || diff.removed.length)
+    Logger.log(
+      "Price history %s: %s new, %s changed, %s removed",
+      site,
+      diff.added.length,
+      diff.changed.length,
+      diff.removed.length
+    );
+  return {
+    added: diff.added.length,
+    changed: diff.changed.length,
+    removed: diff.removed.length,
+  };
+}
+
+/**
+ * Sync the price history of an endpoint after collecting it; failures only log.
+ */
+function syncPriceHistoryAfterRun(ctx, endpoint) {
+  try {
+    syncPriceHistory(endpoint, ctx.runId);
+  } catch (e) {
+    Logger.log(
+      "Warning: price history sync failed for %s: %s",
+      endpoint.name,
+      e.toString()
+    );
+  }
+}
+
+/**
+ * Manual entry point: sync the price history of every configured endpoint.
+ */
+function syncZstackPriceHistory() {
+  return getZstackEndpoints().map(function (ep) {
+    var out = syncPriceHistory(connectZstackEndpoint(ep), null);
+    out.site = ep.name;
+    return out;
+  });
+}
+
+function getPriceHistoryTable() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    projectId: props.getProperty("BQ_PROJECT") || "",
+    datasetId: props.getProperty("BQ_DATASET") || "",
+    tableId: props.getProperty("BQ_PRICES_TABLE") || "zstack_prices",
+  };
+}
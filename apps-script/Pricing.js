@@ -0,0 +1,345 @@
+/**
+ * Contract pricing rules: discounts, free tiers and prepaid credits applied to the collected rows.
+ * ZStack only reports list cost; rules in the PRICING_RULES Script Property (a JSON array) turn it into
+ * net cost per row. Every rule has { id, type, accountUuid, startDate, endDate } (endDate optional,
+ * inclusive) plus optional `site`, `spendingType` and `inventoryType` filters, and by type:
+ *  - "free_tier": `quantity` free units (resource_used) per calendar month; needs `inventoryType`, since
+ *    usage of different inventory types is in different units (vCPU-hour, GiB-hour)
+ *  - "discount": `percent` off what is left after free tiers
+ *  - "credit": prepaid `amount` drawn down by what is left after discounts, until used up
+ * Amounts are in the row's billing currency (cost_billing, see Currency.js; `cost` for rows without
+ * one). Rows get discount_amount (free tiers included), credit_applied, net_cost and pricing_rule_ids.
+ * Free-tier and credit drawdown is recorded per day in BQ_PRICING_LEDGER_TABLE (default
+ * `<BQ_TABLE>_pricing_ledger`); balances count the earlier days in the ledger, so re-collecting a
+ * day never draws a credit twice and drawdown stays chronological. After an earlier day changes,
+ * re-collect the later days of the period so their drawdown is recomputed.
+ */
+var BQ_PRICING_LEDGER_FIELDS = [
+  { name: "billing_date", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "rule_id", type: "STRING" },
+  { name: "rule_type", type: "STRING" },
+  { name: "quantity_used", type: "FLOAT" },
+  { name: "amount", type: "FLOAT" },
+  { name: "balance_after", type: "FLOAT" },
+  { name: "currency", type: "STRING" },
+  { name: "run_id", type: "STRING" },
+  { name: "created_at", type: "TIMESTAMP" },
+];
+
+var PRICING_RULE_TYPES = ["free_tier", "discount", "credit"];
+
+/**
+ * Parse and validate PRICING_RULES. Returns [] when no rules are defined.
+ */
+function getPricingRules() {
+  var raw =
+    PropertiesService.getScriptProperties().getProperty("PRICING_RULES");
+  if (!raw) return [];
+  var list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error("PRICING_RULES must be valid JSON: " + e.toString());
+  }
+  if (!Array.isArray(list))
+    throw new Error("PRICING_RULES must be a JSON array of rules");
+  var ids = {};
+  return list.map(function (r, i) {
+    var where = "PRICING_RULES[" + i + "]";
+    if (!r || !r.id) throw new Error(where + " needs an id");
+    if (ids[r.id]) throw new Error("Duplicate pricing rule id: " + r.id);
+    ids[r.id] = true;
+    if (!r.accountUuid) throw new Error(where + " needs an accountUuid");
+    if (PRICING_RULE_TYPES.indexOf(r.type) === -1)
+      throw new Error(
+        where + " type must be one of " + PRICING_RULE_TYPES.join(", ")
+      );
+    if (!isIsoDate(r.startDate) || (r.endDate && !isIsoDate(r.endDate)))
+      throw new Error(where + " needs startDate (and endDate) as YYYY-MM-DD");
+    var value = Number(
+      r.type === "discount"
+        ? r.percent
+        : r.type === "free_tier"
+          ? r.quantity
+          : r.amount
+    );
+    if (!(value > 0) || (r.type === "discount" && value > 100))
+      throw new Error(
+        where +
+          " needs a positive " +
+          (r.type === "discount"
+            ? "percent (up to 100)"
+            : r.type === "free_tier"
+              ? "quantity"
+              : "amount")
+      );
+    if (r.type === "free_tier" && !r.inventoryType)
+      throw new Error(where + " (free_tier) needs an inventoryType");
+    return {
+      id: String(r.id),
+      type: r.type,
+      accountUuid: String(r.accountUuid),
+      site: r.site || null,
+      spendingType: r.spendingType || null,
+      inventoryType: r.inventoryType || null,
+      startDate: r.startDate,
+      endDate: r.endDate || null,
+      value: value,
+    };
+  });
+}
+
+/**
+ * Apply `rules` (already limited to the rows' account and date) to billing rows in place.
+ * `used`: { <ruleId>: drawn so far } (free-tier units this month / credit amount) on earlier days.
+ * Pure function; returns the ledger entries { rule_id, rule_type, quantity_used, amount, balance_after }
+ * of the free-tier and credit rules that were drawn.
+ */
+function priceBillingRows(rows, rules, used) {
+  var order = { free_tier: 0, discount: 1, credit: 2 };
+  var sorted = rules.slice().sort(function (a, b) {
+    if (order[a.type] !== order[b.type]) return order[a.type] - order[b.type];
+    // credits expiring first are drawn first
+    var ae = a.endDate || "9999-12-31";
+    var be = b.endDate || "9999-12-31";
+    if (ae !== be) return ae < be ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  });
+  var balance = {};
+  var ledger = {};
+  sorted.forEach(function (rule) {
+    if (rule.type !== "discount")
+      balance[rule.id] = Math.max(0, rule.value - Number(used[rule.id] || 0));
+  });
+
+  rows
+    .slice()
+    .sort(function (a, b) {
+      return (
+        Number(a.date_start_ms) - Number(b.date_start_ms) ||
+        String(a.resource_id).localeCompare(String(b.resource_id)) ||
+        String(a.inventory_type || "").localeCompare(
+          String(b.inventory_type || "")
+        )
+      );
+    })
+    .forEach(function (row) {
+      var gross = row.billing_currency ? row.cost_billing : row.cost;
+      if (gross === null || gross === undefined) {
+        // nothing to price without a converted cost
+        row.discount_amount = null;
+        row.credit_applied = null;
+        row.net_cost = null;
+        row.pricing_rule_ids = [];
+        return;
+      }
+      var remaining = Number(gross);
+      var discount = 0;
+      var credit = 0;
+      var applied = [];
+      sorted.forEach(function (rule) {
+        if (remaining <= 0) return;
+        if (rule.spendingType && row.spending_type !== rule.spendingType)
+          return;
+        if (rule.inventoryType && row.inventory_type !== rule.inventoryType)
+          return;
+        var amount = 0;
+        var quantity = null;
+        if (rule.type === "free_tier") {
+          var usedQty = Number(row.resource_used || 0);
+          if (!(usedQty > 0) || !(balance[rule.id] > 0)) return;
+          quantity = Math.min(usedQty, balance[rule.id]);
+          amount = (remaining * quantity) / usedQty;
+          balance[rule.id] -= quantity;
+          discount += amount;
+        } else if (rule.type === "discount") {
+          amount = (remaining * rule.value) / 100;
+          discount += amount;
+        } else {
+          if (!(balance[rule.id] > 0)) return;
+          amount = Math.min(remaining, balance[rule.id]);
+          balance[rule.id] -= amount;
+          credit += amount;
+        }
+        if (!(amount > 0)) return;
+        remaining -= amount;
+        applied.push(rule.id);
+        if (rule.type === "discount") return;
+        var l =
+          ledger[rule.id] ||
+          (ledger[rule.id] = {
+            rule_id: rule.id,
+            rule_type: rule.type,
+            quantity_used: rule.type === "free_tier" ? 0 : null,
+            amount: 0,
+            balance_after: null,
+          });
+        if (quantity !== null) l.quantity_used += quantity;
+        l.amount += amount;
+        l.balance_after = balance[rule.id];
+      });
+      row.discount_amount = discount;
+      row.credit_applied = credit;
+      row.net_cost = remaining;
+      row.pricing_rule_ids = applied;
+    });
+  return Object.keys(ledger).map(function (k) {
+    return ledger[k];
+  });
+}
+
+/**
+ * Price the rows of one (site, account) on ctx.billingDate. Returns { ledger, warnings }; the ledger is
+ * written by recordPricingLedger once the rows are stored. ctx.pricingUsage, when set, is used instead
+ * of fetchPricingRuleUsage (offline replay).
+ */
+function applyPricingRules(ctx, site, accountUuid, rowsBatch) {
+  var rows = rowsBatch.map(function (r) {
+    return r.json;
+  });
+  var rules = getPricingRules().filter(function (r) {
+    return (
+      r.accountUuid === accountUuid &&
+      (!r.site || r.site === site) &&
+      r.startDate <= ctx.billingDate &&
+      (!r.endDate || r.endDate >= ctx.billingDate)
+    );
+  });
+  var warnings = [];
+  var used = ctx.pricingUsage
+    ? ctx.pricingUsage
+    : rules.some(function (r) {
+          return r.type !== "discount";
+        })
+      ? fetchPricingRuleUsage(ctx.billingDate, rules)
+      : {};
+  var ledger = priceBillingRows(rows, rules, used);
+  rules.forEach(function (r) {
+    if (r.type === "credit" && r.value - Number(used[r.id] || 0) <= 0)
+      warnings.push("pricing credit " + r.id + " is used up");
+  });
+  if (
+    rows.some(function (r) {
+      return r.net_cost === null;
+    }) &&
+    rules.length
+  )
+    warnings.push("rows without a converted cost were not priced");
+  var currency = rows.length ? rows[0].billing_currency || null : null;
+  ledger.forEach(function (l) {
+    l.site = site;
+    l.account_id = accountUuid;
+    l.currency = currency;
+  });
+  return { ledger: ledger, warnings: warnings };
+}
+
+/**
+ * Free-tier units drawn in the month of billingDate and credit drawn overall, on the days before
+ * billingDate: { <ruleId>: used }.
+ */
+function fetchPricingRuleUsage(billingDate, rules) {
+  var t = getPricingLedgerTable();
+  try {
+    BigQuery.Tables.get(t.projectId, t.datasetId, t.tableId);
+  } catch (e) {
+    return {};
+  }
+  var used = {};
+  queryBQRows(
+    t.projectId,
+    "SELECT rule_id, SUM(IF(rule_type = 'free_tier', quantity_used, amount)) AS used FROM `" +
+      t.projectId +
+      "." +
+      t.datasetId +
+      "." +
+      t.tableId +
+      "` WHERE billing_date < DATE " +
+      bqQuote(billingDate) +
+      " AND (rule_type = 'credit' OR DATE_TRUNC(billing_date, MONTH) = DATE_TRUNC(DATE " +
+      bqQuote(billingDate) +
+      ", MONTH)) AND rule_id IN (" +
+      rules
+        .map(function (r) {
+          return bqQuote(r.id);
+        })
+        .join(", ") +
+      ") GROUP BY rule_id"
+  ).forEach(function (r) {
+    used[r.rule_id] = Number(r.used || 0);
+  });
+  return used;
+}
+
+/**
+ * Replace the ledger entries of ctx.billingDate for the accounts whose rows were written.
+ * A failure is reported as a warning on the account (its balances are off until the day is re-collected).
+ */
+function recordPricingLedger(ctx, results) {
+  var t = getPricingLedgerTable();
+  var createdAt = new Date().toISOString();
+  results.forEach(function (r) {
+    // failed accounts and closed dates (adjustments) keep their earlier ledger
+    if (!r.ok || !r.pricing || r.adjustments !== undefined) return;
+    var scope = { site: r.site, accountUuid: r.accountUuid };
+    try {
+      var exists = true;
+      try {
+        BigQuery.Tables.get(t.projectId, t.datasetId, t.tableId);
+      } catch (e) {
+        exists = false;
+      }
+      if (!exists && !r.pricing.ledger.length) return;
+      ensureBQTableWithSchema(t.projectId, t.datasetId, t.tableId, {
+        friendlyName: "ZStack pricing ledger",
+        description: "Daily free-tier and prepaid-credit drawdown per rule",
+        fields: BQ_PRICING_LEDGER_FIELDS,
+        partitionField: "billing_date",
+      });
+      replaceBQRows(
+        t.projectId,
+        t.datasetId,
+        t.tableId,
+        "billing_date = DATE " +
+          bqQuote(ctx.billingDate) +
+          bqScopeCondition(scope),
+        r.pricing.ledger.map(function (l) {
+          return {
+            json: Object.assign(
+              {
+                billing_date: ctx.billingDate,
+                run_id: ctx.runId || null,
+                created_at: createdAt,
+              },
+              l
+            ),
+          };
+        }),
+        "replacePricingLedger"
+      );
+    } catch (e) {
+      Logger.log(
+        "Warning: failed to record pricing ledger for %s/%s: %s",
+        r.site,
+        r.accountUuid,
+        e.toString()
+      );
+      (r.warnings = r.warnings || []).push(
+        "failed to record pricing ledger: " + e.toString()
+      );
+    }
+  });
+}
+
+function getPricingLedgerTable() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    projectId: props.getProperty("BQ_PROJECT") || "",
+    datasetId: props.getProperty("BQ_DATASET") || "",
+    tableId:
+      props.getProperty("BQ_PRICING_LEDGER_TABLE") ||
+      (props.getProperty("BQ_TABLE") || "") + "_pricing_ledger",
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Offline replay: rebuild billing rows from saved ZStack responses through `buildBillingRows`,
+ * without calling ZStack. Useful to reproduce reported bugs and to rebuild historical days
+ * from archived payloads.
+ */
+
+/**
+ * Replay saved responses.
+ * `responses` (objects or JSON strings, as returned by the ZStack API):
+ *  - billing: calculateAccountSpending response (required)
+ *  - prices: `/billings/prices` response
+ *  - vmInstances: `/vm-instances` response
+ *  - volumes: `/volumes` response (detached and deleted volumes)
+ *  - priceTableRefs: `/accounts/price-tables/refs` response (used to pick the account's price table)
+ * `options`: { accountUuid (required), billingDate (defaults to the payload's dateStart in Asia/Jakarta),
+ *   site, priceTableUuid, runId, write, overrideClosedPeriod, fxRates, pricingUsage }. `fxRates`
+ *   (listFxRates records) and `pricingUsage` ({ <ruleId>: used }, see fetchPricingRuleUsage) replace
+ *   the BigQuery lookups, so a replay without `write` needs no BigQuery access. With write: true the rows replace the
+ *   account's rows of the date in BigQuery like a normal collection (BQ_WRITE_MODE and closed periods
+ *   apply; with BQ_WRITE_MODE=load the account is written with a MERGE instead, since a partition load
+ *   would drop every other account of the date); otherwise rows are only returned.
+ */
+function replayBillingFromResponses(responses, options) {
+  options = options || {};
+  if (!responses || !responses.billing)
+    throw new Error(
+      "responses.billing (calculateAccountSpending payload) is required"
+    );
+  if (!options.accountUuid)
+    throw new Error("options.accountUuid is required for replay");
+
+  var payload = parseReplayJson(responses.billing);
+  var billingDate = options.billingDate || replayBillingDate(payload);
+  if (!billingDate)
+    throw new Error(
+      "options.billingDate is required (payload has no dateStart)"
+    );
+  var range = billingDateRangeMs(billingDate);
+  var site = options.site || DEFAULT_ZSTACK_SITE;
+
+  var prices = selectReplayPrices(
+    responses.prices ? parseReplayJson(responses.prices) : null,
+    responses.priceTableRefs ? parseReplayJson(responses.priceTableRefs) : null,
+    options
+  );
+  var vmMaps = buildVmMaps(
+    responses.vmInstances
+      ? parseReplayJson(responses.vmInstances).inventories || []
+      : [],
+    responses.volumes
+      ? parseReplayJson(responses.volumes).inventories || []
+      : []
+  );
+
+  var fx = resolveFxConversion(
+    { billingDate: billingDate, fxRates: options.fxRates || null },
+    site,
+    options.accountUuid,
+    options.priceTableUuid
+  );
+  if (fx.warning) Logger.log("Warning: %s", fx.warning);
+  var rowsBatch = buildBillingRows(payload, prices, vmMaps, {
+    runId: options.runId || null,
+    billingDate: billingDate,
+    site: site,
+    accountUuid: options.accountUuid,
+    dateStartMs: range.dateStartMs,
+    dateEndMs: range.dateEndMs,
+    fx: fx,
+  });
+  var pricing = applyPricingRules(
+    { billingDate: billingDate, pricingUsage: options.pricingUsage || null },
+    site,
+    options.accountUuid,
+    rowsBatch
+  );
+  pricing.warnings.forEach(function (w) {
+    Logger.log("Warning: %s", w);
+  });
+  Logger.log(
+    "Replay %s/%s on %s built %s rows",
+    site,
+    options.accountUuid,
+    billingDate,
+    rowsBatch.length
+  );
+
+  var out = {
+    date: billingDate,
+    site: site,
+    accountUuid: options.accountUuid,
+    rows: rowsBatch.map(function (r) {
+      return r.json;
+    }),
+  };
+  out.reconciliation = reconcileBillingRows(
+    payload,
+    out.rows,
+    getReconcileConfig()
+  );
+  out.costCheck = verifyBillingCosts(out.rows, getCostCheckConfig());
+  if (options.write) {
+    var props = PropertiesService.getScriptProperties();
+    var ctx = {
+      projectId: props.getProperty("BQ_PROJECT") || "",
+      datasetId: props.getProperty("BQ_DATASET") || "",
+      tableId: props.getProperty("BQ_TABLE") || "",
+      billingDate: billingDate,
+      dateStartMs: range.dateStartMs,
+      dateEndMs: range.dateEndMs,
+      runId: options.runId || null,
+      // only this account is replayed: never replace the whole partition
+      writeMode: getBQWriteMode() === "load" ? "merge" : null,
+      lockOverride: options.overrideClosedPeriod
+        ? { reason: String(options.overrideClosedPeriod), runId: options.runId }
+        : null,
+    };
+    if (!ctx.projectId || !ctx.datasetId || !ctx.tableId)
+      throw new Error(
+        "Set BQ_PROJECT, BQ_DATASET, BQ_TABLE in Script Properties"
+      );
+    ensureBQTable(ctx.projectId, ctx.datasetId, ctx.tableId);
+    var result = {
+      site: site,
+      accountUuid: options.accountUuid,
+      ok: true,
+      rows: rowsBatch.length,
+      rowsBatch: rowsBatch,
+      pricing: pricing,
+    };
+    writeBillingRowsForDate(ctx, [result]);
+    if (!result.ok) throw new Error(result.error);
+    recordPricingLedger(ctx, [result]);
+    // closed dates keep their rows; the difference is recorded as adjustments
+    if (result.adjustments !== undefined) out.adjustments = result.adjustments;
+    else out.written = true;
+  }
+  return out;
+}
+
+/**
+ * Replay responses saved as Drive files (e.g. the response-*.json captures).
+ * `fileIds`: { billing, prices, vmInstances, volumes, priceTableRefs } Drive file ids; `options` as for
+ * replayBillingFromResponses.
+ */
+function replayBillingFromDriveFiles(fileIds, options) {
+  var responses = {};
+  Object.keys(fileIds || {}).forEach(function (key) {
+    if (!fileIds[key]) return;
+    responses[key] = DriveApp.getFileById(fileIds[key])
+      .getBlob()
+      .getDataAsString();
+  });
+  return replayBillingFromResponses(responses, options);
+}
+
+/**
+ * Replay a collection run from the raw archive (see archiveRawResponses).
+ * Every (site, account) archived under `runId` is rebuilt; rows keep that run_id.
+ * `options`: { accountUuid, site (limit the replay), write }.
+ * Returns one replay result per archived account.
+ */
+function replayBillingRun(runId, options) {
+  options = options || {};
+  var props = PropertiesService.getScriptProperties();
+  var projectId = props.getProperty("BQ_PROJECT") || "";
+  var datasetId = props.getProperty("BQ_DATASET") || "";
+  var tableId = props.getProperty("BQ_TABLE") || "";
+  var rawTable = props.getProperty("BQ_RAW_TABLE") || tableId + "_raw";
+  if (!projectId || !datasetId || !tableId)
+    throw new Error(
+      "Set BQ_PROJECT, BQ_DATASET, BQ_TABLE in Script Properties"
+    );
+
+  var raw = queryBQRows(
+    projectId,
+    "SELECT CAST(billing_date AS STRING) AS billing_date, site, account_id, kind," +
+      " price_table_uuid, payload FROM `" +
+      projectId +
+      "." +
+      datasetId +
+      "." +
+      rawTable +
+      "` WHERE run_id = " +
+      bqQuote(runId)
+  );
+  if (!raw.length) throw new Error("No archived responses for run " + runId);
+
+  var find = function (kind, site, accountUuid) {
+    for (var i = 0; i < raw.length; i++) {
+      var r = raw[i];
+      if (r.kind === kind && r.site === site && r.account_id === accountUuid)
+        return r;
+    }
+    return null;
+  };
+  return raw
+    .filter(function (r) {
+      return (
+        r.kind === "billing" &&
+        (!options.site || r.site === options.site) &&
+        (!options.accountUuid || r.account_id === options.accountUuid)
+      );
+    })
+    .map(function (r) {
+      var prices = find("prices", r.site, r.account_id);
+      var vms = find("vm_instances", r.site, null);
+      var volumes = find("volumes", r.site, null);
+      return replayBillingFromResponses(
+        {
+          billing: r.payload,
+          prices: prices ? prices.payload : null,
+          vmInstances: vms ? vms.payload : null,
+          volumes: volumes ? volumes.payload : null,
+        },
+        {
+          accountUuid: r.account_id,
+          site: r.site,
+          billingDate: r.billing_date,
+          priceTableUuid: r.price_table_uuid,
+          runId: runId,
+          write: options.write,
+        }
+      );
+    });
+}
+
+function parseReplayJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+/**
+ * Billing date (YYYY-MM-DD, Asia/Jakarta) of a calculateAccountSpending payload.
+ */
+function replayBillingDate(payload) {
+  var first = (payload.spending || [])[0];
+  if (!first || !first.dateStart) return null;
+  return Utilities.formatDate(
+    new Date(Number(first.dateStart)),
+    "Asia/Jakarta",
+    "yyyy-MM-dd"
+  );
+}
+
+/**
+ * Pick the price inventories of the account's table: options.priceTableUuid, else the table
+ * from the refs response, else every price when they all belong to one table.
+ */
+function selectReplayPrices(pricesResponse, refsResponse, options) {
+  if (!pricesResponse) return null;
+  var all = pricesResponse.inventories || [];
+  var tableUuid = options.priceTableUuid || null;
+  if (!tableUuid && refsResponse) {
+    (refsResponse.inventories || []).forEach(function (ref) {
+      if (ref.accountUuid === options.accountUuid) tableUuid = ref.tableUuid;
+    });
+  }
+  if (!tableUuid) {
+    var tables = {};
+    all.forEach(function (p) {
+      tables[p.tableUuid] = true;
+    });
+    if (Object.keys(tables).length > 1)
+      Logger.log(
+        "Warning: replay prices span %s price tables; pass options.priceTableUuid",
+        Object.keys(tables).length
+      );
+    return all;
+  }
+  return all.filter(function (p) {
+    return p.tableUuid === tableUuid;
+  });
+}
@@ -0,0 +1,184 @@
+/**
+ * Run history: every `collectBillingForDate` call writes one "run" record plus one "account" record per
+ * (site, account) to the collector_runs table (BQ_RUNS_TABLE, default `collector_runs`), so missing or
+ * degraded days can be found later without reading execution logs.
+ * ZStack HTTP status codes and retries are counted while the run executes (see recordZstackHttpStatus).
+ */
+var BQ_RUN_FIELDS = [
+  { name: "run_id", type: "STRING" },
+  { name: "record_type", type: "STRING" },
+  { name: "billing_date", type: "DATE" },
+  { name: "site", type: "STRING" },
+  { name: "account_id", type: "STRING" },
+  { name: "trigger_source", type: "STRING" },
+  { name: "status", type: "STRING" },
+  { name: "dry_run", type: "BOOLEAN" },
+  { name: "write_mode", type: "STRING" },
+  { name: "started_at", type: "TIMESTAMP" },
+  { name: "finished_at", type: "TIMESTAMP" },
+  { name: "duration_ms", type: "INTEGER" },
+  { name: "row_count", type: "INTEGER" },
+  { name: "total_cost", type: "FLOAT" },
+  { name: "http_requests", type: "INTEGER" },
+  { name: "http_status_codes", type: "INTEGER", mode: "REPEATED" },
+  { name: "retries", type: "INTEGER" },
+  { name: "warnings", type: "STRING", mode: "REPEATED" },
+  { name: "error", type: "STRING" },
+];
+
+// Counters of the run currently executing (one run at a time per execution)
+var COLLECTOR_RUN_STATS = { httpCodes: [], retries: 0 };
+
+/**
+ * Start tracking a run. `options.trigger` names what started it ("time_trigger", "manual", "month",
+ * "backfill", ...); it defaults to "manual".
+ */
+function startCollectorRun(billingDate, options) {
+  COLLECTOR_RUN_STATS = { httpCodes: [], retries: 0 };
+  return {
+    runId: Utilities.getUuid(),
+    billingDate: billingDate,
+    trigger: (options && options.trigger) || "manual",
+    dryRun: !!(options && options.dryRun),
+    startedAt: new Date(),
+  };
+}
+
+function recordZstackHttpStatus(code) {
+  COLLECTOR_RUN_STATS.httpCodes.push(code);
+}
+
+function recordCollectorRetry() {
+  COLLECTOR_RUN_STATS.retries++;
+}
+
+/**
+ * Position in the run counters, to attribute requests and retries to one account (see collectorStatsSince).
+ */
+function collectorStatsMark() {
+  return {
+    http: COLLECTOR_RUN_STATS.httpCodes.length,
+    retries: COLLECTOR_RUN_STATS.retries,
+  };
+}
+
+function collectorStatsSince(mark) {
+  var codes = COLLECTOR_RUN_STATS.httpCodes.slice(mark ? mark.http : 0);
+  return {
+    httpRequests: codes.length,
+    httpStatusCodes: distinctSortedNumbers(codes),
+    retries: COLLECTOR_RUN_STATS.retries - (mark ? mark.retries : 0),
+  };
+}
+
+function distinctSortedNumbers(values) {
+  var seen = {};
+  return values
+    .filter(function (v) {
+      if (seen[v]) return false;
+      seen[v] = true;
+      return true;
+    })
+    .sort(function (a, b) {
+      return a - b;
+    });
+}
+
+/**
+ * Write the run record and its account records. `out` is the collectBillingForDate result (null when
+ * it threw), `err` the error it threw; account results attached to the error (err.accounts) are recorded too.
+ * Never throws: a failing audit write must not change the outcome of the run.
+ */
+function finishCollectorRun(run, out, err) {
+  try {
+    var props = PropertiesService.getScriptProperties();
+    var projectId = props.getProperty("BQ_PROJECT") || "";
+    var datasetId = props.getProperty("BQ_DATASET") || "";
+    var runsTable = props.getProperty("BQ_RUNS_TABLE") || "collector_runs";
+    if (!projectId || !datasetId) return;
+
+    var finishedAt = new Date();
+    var accounts = (out ? out.accounts : err && err.accounts) || [];
+    var writeMode = null;
+    try {
+      writeMode = getBQWriteMode();
+    } catch (e) {
+      writeMode = null;
+    }
+    var base = function (recordType) {
+      return {
+        run_id: run.runId,
+        record_type: recordType,
+        billing_date: run.billingDate,
+        trigger_source: run.trigger,
+        dry_run: run.dryRun,
+        write_mode: writeMode,
+      };
+    };
+
+    var totalRows = 0;
+    var totalCost = 0;
+    var warnings = [];
+    var rows = accounts.map(function (a) {
+      // run totals only count what was actually imported
+      if (a.ok) {
+        totalRows += a.rows || 0;
+        totalCost += a.cost || 0;
+      }
+      (a.warnings || []).forEach(function (w) {
+        warnings.push(a.site + "/" + (a.accountUuid || "*") + ": " + w);
+      });
+      var rec = base("account");
+      rec.site = a.site;
+      rec.account_id = a.accountUuid;
+      rec.status = !a.ok
+        ? "failed"
+        : a.warnings && a.warnings.length
+          ? "warning"
+          : "ok";
+      rec.started_at = a.startedAt || null;
+      rec.finished_at = a.finishedAt || null;
+      rec.duration_ms =
+        a.startedAt && a.finishedAt
+          ? new Date(a.finishedAt).getTime() - new Date(a.startedAt).getTime()
+          : null;
+      rec.row_count = a.rows || 0;
+      rec.total_cost = a.cost || 0;
+      rec.http_requests = a.httpRequests || 0;
+      rec.http_status_codes = a.httpStatusCodes || [];
+      rec.retries = a.retries || 0;
+      rec.warnings = a.warnings || [];
+      rec.error = a.ok ? null : a.error || null;
+      return { json: rec };
+    });
+
+    var stats = collectorStatsSince(null);
+    var runRec = base("run");
+    runRec.status = out ? out.status : "failed";
+    runRec.started_at = run.startedAt.toISOString();
+    runRec.finished_at = finishedAt.toISOString();
+    runRec.duration_ms = finishedAt.getTime() - run.startedAt.getTime();
+    runRec.row_count = totalRows;
+    runRec.total_cost = totalCost;
+    runRec.http_requests = stats.httpRequests;
+    runRec.http_status_codes = stats.httpStatusCodes;
+    runRec.retries = stats.retries;
+    runRec.warnings = warnings;
+    runRec.error = err ? err.toString() : null;
+    rows.unshift({ json: runRec });
+
+    ensureBQTableWithSchema(projectId, datasetId, runsTable, {
+      friendlyName: "ZStack collector runs",
+      description: "One record per billing collection run and per account",
+      fields: BQ_RUN_FIELDS,
+      partitionField: "billing_date",
+    });
+    insertRowsToBQ(projectId, datasetId, runsTable, rows);
+  } catch (e) {
+    Logger.log(
+      "Warning: failed to record run %s in the run history: %s",
+      run.runId,
+      e.toString()
+    );
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Usage units: the `resource_used` / `resource_unit` of a billing row.
+ * A price's `resourceName` maps to a dimension (USAGE_RESOURCES); the dimension says what is measured
+ * (vCPUs, memory, volume size, bandwidth, PCI devices, bare-metal instances), where the amount comes from and its canonical unit. The
+ * price's `resourceUnit` (BYTE ... TERABYTE) and `timeUnit` (HOURS, DAYS, WEEKS, MONTHS) turn amount x
+ * duration into the quantity the price is charged for (`price_quantity`, so cost = price_quantity x price)
+ * and into the canonical quantity, e.g. "vCPU-hour", "GiB-hour" (memory and storage), "Mibps-hour"
+ * (bandwidth), "device-hour" (GPU / PCI), "instance-hour" (bare metal), "GiB-day" or "vCPU-month".
+ * Sizes are binary, like the price units (GIGABYTE = 1024^3 bytes), and labelled so.
+ * When the amount is unknown (no VM / volume details) the quantity is derived from cost / price
+ * (`usage_source` "cost" instead of "inventory").
+ * New resource names go into USAGE_RESOURCES, or without a code change into the USAGE_RESOURCES Script
+ * Property, a JSON map { "<resourceName>": "<dimension>" }.
+ */
+var USAGE_DIMENSIONS = {
+  vcpu: {
+    unit: "vCPU",
+    factor: 1,
+    amount: function (specs) {
+      return specs.cpuNum;
+    },
+  },
+  memory: {
+    unit: "GiB",
+    factor: 1024 * 1024 * 1024,
+    amount: function (specs) {
+      return specs.memorySize;
+    },
+  },
+  storage: {
+    unit: "GiB",
+    factor: 1024 * 1024 * 1024,
+    amount: function (specs) {
+      return specs.size;
+    },
+  },
+  // bandwidth amounts are in bits per second; MEGABYTE prices mean Mibps (1024 * 1024 bits per second)
+  bandwidth: {
+    unit: "Mibps",
+    factor: 1024 * 1024,
+    amount: function (specs) {
+      return specs.bandwidth;
+    },
+  },
+  // PCI devices (GPUs) of a segment, see Devices.js
+  device: {
+    unit: "device",
+    factor: 1,
+    amount: function (specs) {
+      return specs.deviceCount;
+    },
+  },
+  instance: {
+    unit: "instance",
+    factor: 1,
+    amount: function (specs) {
+      return specs.deviceCount;
+    },
+  },
+};
+
+var USAGE_RESOURCES = {
+  cpu: "vcpu",
+  memory: "memory",
+  rootVolume: "storage",
+  dataVolume: "storage",
+  pubIpVmNicBandwidthOut: "bandwidth",
+  pubIpVmNicBandwidthIn: "bandwidth",
+  pubIpVipBandwidthOut: "bandwidth",
+  pubIpVipBandwidthIn: "bandwidth",
+  gpu: "device",
+  pciDevice: "device",
+  bareMetal2: "instance",
+  bareMetal2Vm: "instance",
+};
+
+// bytes per price resourceUnit
+var USAGE_RESOURCE_UNITS = {
+  BYTE: 1,
+  KILOBYTE: 1024,
+  MEGABYTE: 1024 * 1024,
+  GIGABYTE: 1024 * 1024 * 1024,
+  TERABYTE: 1024 * 1024 * 1024 * 1024,
+};
+
+// price timeUnit -> canonical time unit; a month is the calendar month the usage starts in
+var USAGE_TIME_UNITS = {
+  HOURS: "hour",
+  HOUR: "hour",
+  h: "hour",
+  DAYS: "day",
+  DAY: "day",
+  d: "day",
+  WEEKS: "week",
+  WEEK: "week",
+  w: "week",
+  MONTHS: "month",
+  MONTH: "month",
+  mon: "month",
+};
+
+var USAGE_TIME_UNIT_MS = {
+  hour: 3600000,
+  day: 86400000,
+  week: 7 * 86400000,
+};
+
+/**
+ * Usage of one spending inventory under `price` (a `/billings/prices` inventory).
+ * `specs`: { cpuNum, memorySize, size, bandwidth, deviceCount } known for the resource (null when unknown);
+ * `cost` the inventory's spending; `resources` the resourceName -> dimension map (getUsageResources).
+ * Returns { quantity, unit, priceQuantity, source }, or null when neither the amount nor the price is known.
+ */
+function computeUsage(price, startMs, endMs, specs, cost, resources) {
+  var timeUnit = USAGE_TIME_UNITS[price.timeUnit] || null;
+  var dimension =
+    USAGE_DIMENSIONS[(resources || USAGE_RESOURCES)[price.resourceName]] ||
+    null;
+  var unitBytes = price.resourceUnit
+    ? USAGE_RESOURCE_UNITS[price.resourceUnit] || null
+    : 1;
+  var unitPrice = Number(price.price);
+  var out = { quantity: null, unit: null, priceQuantity: null, source: null };
+
+  var amount = dimension ? dimension.amount(specs || {}) : null;
+  if (
+    timeUnit &&
+    unitBytes &&
+    amount !== null &&
+    amount !== undefined &&
+    Number(amount) > 0
+  ) {
+    var periods =
+      (Number(endMs) - Number(startMs)) / usageTimeUnitMs(timeUnit, startMs);
+    out.priceQuantity = (Number(amount) / unitBytes) * periods;
+    out.quantity = (Number(amount) / dimension.factor) * periods;
+    out.source = "inventory";
+  } else if (unitPrice) {
+    out.priceQuantity = Number(cost || 0) / unitPrice;
+    out.source = "cost";
+    if (dimension && unitBytes)
+      out.quantity = (out.priceQuantity * unitBytes) / dimension.factor;
+    else out.quantity = out.priceQuantity;
+  } else return null;
+
+  var timeLabel = timeUnit || String(price.timeUnit || "").toLowerCase();
+  var amountLabel =
+    dimension && unitBytes ? dimension.unit : price.resourceUnit || "unit";
+  out.unit = timeLabel ? amountLabel + "-" + timeLabel : amountLabel;
+  return out;
+}
+
+/**
+ * Length in ms of one `timeUnit` (canonical) period starting at startMs.
+ */
+function usageTimeUnitMs(timeUnit, startMs) {
+  if (timeUnit !== "month") return USAGE_TIME_UNIT_MS[timeUnit];
+  var parts = Utilities.formatDate(
+    new Date(Number(startMs)),
+    "Asia/Jakarta",
+    "yyyy-MM"
+  ).split("-");
+  var days = new Date(
+    Date.UTC(Number(parts[0]), Number(parts[1]), 0)
+  ).getUTCDate();
+  return days * USAGE_TIME_UNIT_MS.day;
+}
+
+/**
+ * USAGE_RESOURCES merged with the USAGE_RESOURCES Script Property.
+ */
+function getUsageResources() {
+  var raw =
+    PropertiesService.getScriptProperties().getProperty("USAGE_RESOURCES");
+  var out = Object.assign({}, USAGE_RESOURCES);
+  if (!raw) return out;
+  var map;
+  try {
+    map = JSON.parse(raw);
+  } catch (e) {
+    throw new Error("USAGE_RESOURCES must be valid JSON: " + e.toString());
+  }
+  Object.keys(map || {}).forEach(function (name) {
+    if (!USAGE_DIMENSIONS[map[name]])
+      throw new Error(
+        "USAGE_RESOURCES." +
+          name +
+          " must be one of " +
+          Object.keys(USAGE_DIMENSIONS).join(", ")
+      );
+    out[name] = map[name];
+  });
+  return out;
+}
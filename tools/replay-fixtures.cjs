@@ -0,0 +1,181 @@
+/**
+ * Replay the committed ZStack captures (response-*.json) through the Apps Script code in Node, without
+ * ZStack or BigQuery. Loads every apps-script/*.js file into one global scope (as Apps Script does)
+ * with the few services row building needs (Logger, Utilities.formatDate, Script Properties), then
+ * runs replayBillingFromResponses on each billing capture and prints rows, cost, reconciliation and
+ * the cost check. Exits with 1 when a capture does not reconcile.
+ *
+ *   node tools/replay-fixtures.cjs [--account <uuid>] [--properties <file.json>] [--fx-rates <file.json>]
+ *     [--pricing-usage <file.json>] [--rows] [--verbose] [response-billing-*.json ...]
+ *
+ * --account defaults to the first account of response-query-price-table-refs.json; --properties is a
+ * JSON object of Script Properties (e.g. PRICING_RULES, RECONCILE_TOLERANCE); --fx-rates and
+ * --pricing-usage are passed to the replay as options.fxRates / options.pricingUsage. --rows prints
+ * the built rows as JSON lines. This file is a .cjs so clasp does not push it.
+ */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var ROOT = path.join(__dirname, "..");
+var SCRIPT_DIR = path.join(ROOT, "apps-script");
+var JAKARTA_OFFSET_MS = 7 * 3600000;
+
+function parseArgs(argv) {
+  var out = { files: [] };
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (a === "--rows") out.rows = true;
+    else if (a === "--verbose") out.verbose = true;
+    else if (a === "--account") out.account = argv[++i];
+    else if (a === "--properties") out.properties = argv[++i];
+    else if (a === "--fx-rates") out.fxRates = argv[++i];
+    else if (a === "--pricing-usage") out.pricingUsage = argv[++i];
+    else if (a.indexOf("--") === 0) throw new Error("Unknown option " + a);
+    else out.files.push(a);
+  }
+  return out;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8"));
+}
+
+function readFixture(name) {
+  var file = path.join(ROOT, name);
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+/**
+ * Utilities.formatDate for Asia/Jakarta (UTC+7, no daylight saving), the only zone the scripts use.
+ */
+function formatDate(date, timeZone, pattern) {
+  if (timeZone !== "Asia/Jakarta")
+    throw new Error("replay-fixtures only formats Asia/Jakarta dates");
+  var t = new Date(date.getTime() + JAKARTA_OFFSET_MS);
+  var pad = function (n) {
+    return (n < 10 ? "0" : "") + n;
+  };
+  return pattern
+    .replace("yyyy", String(t.getUTCFullYear()))
+    .replace("MM", pad(t.getUTCMonth() + 1))
+    .replace("dd", pad(t.getUTCDate()))
+    .replace("HH", pad(t.getUTCHours()))
+    .replace("mm", pad(t.getUTCMinutes()))
+    .replace("ss", pad(t.getUTCSeconds()));
+}
+
+function createScriptScope(properties, verbose) {
+  var offline = function (name) {
+    return function () {
+      throw new Error(name + " is not available in an offline replay");
+    };
+  };
+  var scope = {
+    console: console,
+    Logger: {
+      log: function (format) {
+        if (!verbose) return;
+        var args = Array.prototype.slice.call(arguments, 1);
+        console.error(
+          String(format).replace(/%s/g, function () {
+            return String(args.shift());
+          })
+        );
+      },
+    },
+    Utilities: { formatDate: formatDate, sleep: function () {} },
+    PropertiesService: {
+      getScriptProperties: function () {
+        return {
+          getProperty: function (key) {
+            return properties.hasOwnProperty(key)
+              ? String(properties[key])
+              : null;
+          },
+        };
+      },
+    },
+    UrlFetchApp: { fetch: offline("UrlFetchApp") },
+    BigQuery: new Proxy({}, { get: offline("BigQuery") }),
+  };
+  vm.createContext(scope);
+  fs.readdirSync(SCRIPT_DIR)
+    .filter(function (f) {
+      return /\.js$/.test(f);
+    })
+    .sort()
+    .forEach(function (f) {
+      var file = path.join(SCRIPT_DIR, f);
+      vm.runInContext(fs.readFileSync(file, "utf8"), scope, { filename: file });
+    });
+  return scope;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var scope = createScriptScope(
+    args.properties ? readJson(args.properties) : {},
+    args.verbose
+  );
+  var refs = readFixture("response-query-price-table-refs.json");
+  var account =
+    args.account ||
+    (refs && (JSON.parse(refs).inventories || [])[0] || {}).accountUuid;
+  if (!account)
+    throw new Error("Pass --account (no price table refs to pick one from)");
+  var files = args.files.length
+    ? args.files
+    : fs.readdirSync(ROOT).filter(function (f) {
+        return /^response-billing-.*\.json$/.test(f);
+      });
+
+  var failed = 0;
+  files.forEach(function (file) {
+    var out = scope.replayBillingFromResponses(
+      {
+        billing: fs.readFileSync(path.resolve(ROOT, file), "utf8"),
+        prices: readFixture("response-query-price.json"),
+        vmInstances: readFixture("response-vm-instances.json"),
+        volumes: readFixture("response-volumes.json"),
+        priceTableRefs: refs,
+      },
+      {
+        accountUuid: account,
+        fxRates: args.fxRates ? readJson(args.fxRates) : [],
+        pricingUsage: args.pricingUsage ? readJson(args.pricingUsage) : {},
+      }
+    );
+    var cost = out.rows.reduce(function (sum, r) {
+      return sum + Number(r.cost || 0);
+    }, 0);
+    if (out.reconciliation.status !== "ok") failed++;
+    console.log(
+      "%s %s: %s rows, cost %s, reconciliation %s, cost check %s/%s flagged",
+      path.basename(file),
+      out.date,
+      out.rows.length,
+      cost.toFixed(4),
+      out.reconciliation.status,
+      out.costCheck.flagged,
+      out.costCheck.checked
+    );
+    out.reconciliation.checks.forEach(function (c) {
+      if (c.status !== "ok")
+        console.log(
+          "  %s %s: expected %s, actual %s",
+          c.dimension,
+          c.key,
+          c.expected,
+          c.actual
+        );
+    });
+    if (args.rows)
+      out.rows.forEach(function (r) {
+        console.log(JSON.stringify(r));
+      });
+  });
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();